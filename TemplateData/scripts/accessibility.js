@@ -0,0 +1,162 @@
+/**
+ * Unity WebGL Template - PWA
+ * Accessibility: user preferences, status announcements and focus
+ *
+ * prefers-reduced-motion, prefers-contrast and prefers-color-scheme are read
+ * at startup and whenever they change. They are mirrored as classes on
+ * <html> (unity-reduced-motion, unity-high-contrast, unity-theme-dark or
+ * unity-theme-light) so style.css can pick the matching logo and
+ * progress-bar images, and passed to the game as JSON through the host
+ * object's SetAccessibilityPreferences method.
+ *
+ * Loading stages, progress and errors are announced through two visually
+ * hidden live regions, #unity-status (polite) and #unity-alert
+ * (assertive). Once the game is running the canvas takes focus, so
+ * keyboard players can start without clicking first.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+// Progress is announced in these steps, not on every loader callback
+const PROGRESS_ANNOUNCE_STEP = 25;
+
+let statusRegion = null;
+let alertRegion = null;
+let lastAnnouncedProgress = 0;
+
+//-----------------------------------------------------------------------------
+// Preferences
+//-----------------------------------------------------------------------------
+
+/**
+ * Read the player's display preferences
+ * @param {Window} win - Window to query (a fake one in tests)
+ * @returns {{reducedMotion: boolean, contrast: string, colorScheme: string}}
+ *   contrast is "more", "less" or "no-preference"; colorScheme "dark" or "light"
+ */
+function readAccessibilityPreferences(win) {
+  const matches = (query) => !!(win.matchMedia && win.matchMedia(query).matches);
+
+  let contrast = "no-preference";
+  if (matches("(prefers-contrast: more)")) {
+    contrast = "more";
+  } else if (matches("(prefers-contrast: less)")) {
+    contrast = "less";
+  }
+
+  return {
+    reducedMotion: matches("(prefers-reduced-motion: reduce)"),
+    contrast: contrast,
+    colorScheme: matches("(prefers-color-scheme: dark)") ? "dark" : "light"
+  };
+}
+
+/**
+ * Apply the preferences now and whenever the player changes them
+ */
+function setupAccessibility() {
+  statusRegion = document.querySelector("#unity-status");
+  alertRegion = document.querySelector("#unity-alert");
+
+  applyAccessibilityPreferences(readAccessibilityPreferences(window));
+
+  if (window.matchMedia) {
+    ["(prefers-reduced-motion: reduce)", "(prefers-contrast: more)", "(prefers-contrast: less)", "(prefers-color-scheme: dark)"]
+      .forEach((query) => {
+        const list = window.matchMedia(query);
+        const onChange = () => applyAccessibilityPreferences(readAccessibilityPreferences(window));
+        // Safari before 14 only has the older addListener
+        if (list.addEventListener) {
+          list.addEventListener("change", onChange);
+        } else if (list.addListener) {
+          list.addListener(onChange);
+        }
+      });
+  }
+}
+
+/**
+ * Reflect preferences on the page and tell the game
+ * @param {{reducedMotion: boolean, contrast: string, colorScheme: string}} preferences - Current preferences
+ */
+function applyAccessibilityPreferences(preferences) {
+  const root = document.documentElement;
+  root.classList.toggle("unity-reduced-motion", preferences.reducedMotion);
+  root.classList.toggle("unity-high-contrast", preferences.contrast === "more");
+  root.classList.toggle("unity-theme-dark", preferences.colorScheme === "dark");
+  root.classList.toggle("unity-theme-light", preferences.colorScheme !== "dark");
+
+  sendHostMessage("SetAccessibilityPreferences", JSON.stringify(preferences));
+}
+
+//-----------------------------------------------------------------------------
+// Announcements
+//-----------------------------------------------------------------------------
+
+/**
+ * Announce a status update without interrupting the screen reader
+ * @param {string} text - Plain text
+ */
+function announceStatus(text) {
+  announceIn(statusRegion, text);
+}
+
+/**
+ * Announce an error right away
+ * @param {string} text - Plain text
+ */
+function announceAlert(text) {
+  announceIn(alertRegion, text);
+}
+
+/**
+ * Replace a live region's text; clearing it first makes a repeated
+ * message count as a change
+ * @param {?Element} region - Live region
+ * @param {string} text - Plain text
+ */
+function announceIn(region, text) {
+  if (!region) {
+    return;
+  }
+  region.textContent = "";
+  setTimeout(() => {
+    region.textContent = String(text);
+  }, 50);
+}
+
+/**
+ * Announce loading progress in whole steps
+ * @param {number} progress - Unity progress between 0 and 1
+ */
+function announceLoadingProgress(progress) {
+  const percent = Math.floor(progress * 100 / PROGRESS_ANNOUNCE_STEP) * PROGRESS_ANNOUNCE_STEP;
+  if (percent > lastAnnouncedProgress && percent < 100) {
+    lastAnnouncedProgress = percent;
+    announceStatus(t("a11y.progress", { percent: percent }));
+  } else if (percent < lastAnnouncedProgress) {
+    // A retry starts from zero again
+    lastAnnouncedProgress = 0;
+  }
+}
+
+//-----------------------------------------------------------------------------
+// Focus
+//-----------------------------------------------------------------------------
+
+/**
+ * Give the game keyboard focus, unless the player is busy elsewhere
+ * (the consent banner, for example); the audio splash goes first if shown
+ */
+function focusGame() {
+  const active = document.activeElement;
+  if (active && active !== document.body && active !== canvas && !active.closest("#unity-audio-splash, #unity-context-overlay")) {
+    return;
+  }
+
+  const splash = document.querySelector("#unity-audio-splash");
+  const target = splash && splash.style.display === "flex" ? splash : canvas;
+  target.focus({ preventScroll: true });
+}
@@ -0,0 +1,235 @@
+/**
+ * Unity WebGL Template - PWA
+ * Consent-gated analytics
+ *
+ * Google Tag Manager and gtag are only injected after the player (or their
+ * parent) accepts the consent banner; the choice is stored so the banner is
+ * shown once. track(event, params) is the single entry point for loader
+ * milestones, errors and events sent by the game (a "track" bridge event
+ * with {event, params}). Events tracked before a decision are held back and
+ * either forwarded to dataLayer on consent or dropped on refusal. The
+ * decision is also passed to the game's SetAnalyticsConsent method so Unity
+ * Analytics can start or stop its own data collection.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+// Bump when the consent text changes meaning, so everyone is asked again
+const CONSENT_STORAGE_KEY = "soundimals:analytics-consent:v1";
+
+// Events held back while the player has not decided, oldest dropped first
+const MAX_PENDING_ANALYTICS_EVENTS = 50;
+
+let analyticsConsent = null; // "granted", "denied" or null while undecided
+let analyticsOptions = null;
+let analyticsTagsInjected = false;
+let pendingAnalyticsEvents = [];
+
+window.dataLayer = window.dataLayer || [];
+window.SoundimalsHost = window.SoundimalsHost || {};
+
+/**
+ * gtag.js command queue
+ */
+function gtag() {
+  window.dataLayer.push(arguments);
+}
+
+//-----------------------------------------------------------------------------
+// Consent
+//-----------------------------------------------------------------------------
+
+/**
+ * Read the stored choice and show the banner if there is none
+ */
+function setupAnalyticsConsent() {
+  // Everything stays denied until the player decides
+  gtag("consent", "default", {
+    analytics_storage: "denied",
+    ad_storage: "denied",
+    ad_user_data: "denied",
+    ad_personalization: "denied"
+  });
+
+  analyticsConsent = readStoredConsent();
+  if (analyticsConsent) {
+    applyAnalyticsConsent();
+  } else {
+    showConsentBanner();
+  }
+}
+
+/**
+ * @returns {?string} Stored consent, or null if none or storage is blocked
+ */
+function readStoredConsent() {
+  try {
+    const value = localStorage.getItem(CONSENT_STORAGE_KEY);
+    return value === "granted" || value === "denied" ? value : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Record the player's choice
+ * @param {boolean} granted - True if analytics were accepted
+ */
+function setAnalyticsConsent(granted) {
+  analyticsConsent = granted ? "granted" : "denied";
+  try {
+    localStorage.setItem(CONSENT_STORAGE_KEY, analyticsConsent);
+  } catch (error) {
+    // Private mode: the choice holds for this visit only
+  }
+
+  hideConsentBanner();
+  applyAnalyticsConsent();
+}
+
+/**
+ * Act on the current consent state
+ */
+function applyAnalyticsConsent() {
+  sendAnalyticsConsent();
+
+  if (analyticsConsent !== "granted") {
+    pendingAnalyticsEvents = [];
+    // Withdraws an earlier grant for the rest of the session too
+    gtag("consent", "update", { analytics_storage: "denied" });
+    return;
+  }
+
+  gtag("consent", "update", { analytics_storage: "granted" });
+  injectAnalyticsTags();
+
+  const pending = pendingAnalyticsEvents;
+  pendingAnalyticsEvents = [];
+  pending.forEach((entry) => pushAnalyticsEvent(entry.event, entry.params));
+}
+
+/**
+ * Tell the game about the player's decision, if there is one yet
+ */
+function sendAnalyticsConsent() {
+  if (analyticsConsent) {
+    sendHostMessage("SetAnalyticsConsent", analyticsConsent);
+  }
+}
+
+/**
+ * Show the consent banner
+ */
+function showConsentBanner() {
+  const banner = document.querySelector("#unity-consent");
+  if (!banner) {
+    return;
+  }
+
+  banner.querySelector(".unity-consent-accept").onclick = () => setAnalyticsConsent(true);
+  banner.querySelector(".unity-consent-decline").onclick = () => setAnalyticsConsent(false);
+
+  banner.style.display = "flex";
+}
+
+/**
+ * Hide the consent banner
+ */
+function hideConsentBanner() {
+  const banner = document.querySelector("#unity-consent");
+  if (banner) {
+    banner.style.display = "none";
+  }
+}
+
+//-----------------------------------------------------------------------------
+// Tag Injection
+//-----------------------------------------------------------------------------
+
+/**
+ * Apply the build's tag IDs; tags are injected once consent is also given
+ * @param {Object} buildConfig - Resolved build configuration
+ */
+function configureAnalytics(buildConfig) {
+  analyticsOptions = buildConfig.analytics || {};
+  if (analyticsConsent === "granted") {
+    injectAnalyticsTags();
+  }
+}
+
+/**
+ * Inject Google Tag Manager and gtag.js, once
+ */
+function injectAnalyticsTags() {
+  if (analyticsTagsInjected || !analyticsOptions) {
+    return;
+  }
+  analyticsTagsInjected = true;
+
+  if (analyticsOptions.gtmId) {
+    window.dataLayer.push({ "gtm.start": new Date().getTime(), event: "gtm.js" });
+    appendAnalyticsScript("https://www.googletagmanager.com/gtm.js?id=" + encodeURIComponent(analyticsOptions.gtmId));
+  }
+
+  if (analyticsOptions.gaId) {
+    appendAnalyticsScript("https://www.googletagmanager.com/gtag/js?id=" + encodeURIComponent(analyticsOptions.gaId));
+    gtag("js", new Date());
+    gtag("config", analyticsOptions.gaId);
+  }
+}
+
+/**
+ * Add an async script tag to the head
+ * @param {string} src - Script URL
+ */
+function appendAnalyticsScript(src) {
+  const script = document.createElement("script");
+  script.async = true;
+  script.src = src;
+  document.head.appendChild(script);
+}
+
+//-----------------------------------------------------------------------------
+// Event Tracking
+//-----------------------------------------------------------------------------
+
+/**
+ * Track an analytics event
+ * @param {string} event - Event name, e.g. "download_complete"
+ * @param {Object} [params] - Event parameters
+ */
+function track(event, params) {
+  if (analyticsConsent === "granted") {
+    pushAnalyticsEvent(event, params);
+  } else if (analyticsConsent === null) {
+    pendingAnalyticsEvents.push({ event: event, params: params });
+    if (pendingAnalyticsEvents.length > MAX_PENDING_ANALYTICS_EVENTS) {
+      pendingAnalyticsEvents.shift();
+    }
+  }
+}
+
+/**
+ * Push an event to dataLayer for GTM and gtag
+ * @param {string} event - Event name
+ * @param {Object} [params] - Event parameters
+ */
+function pushAnalyticsEvent(event, params) {
+  window.dataLayer.push(Object.assign({ event: event }, params));
+}
+
+/**
+ * Forward game events sent through the bridge as {event, params}
+ */
+function forwardUnityAnalytics() {
+  onUnityEvent("track", (payload) => {
+    if (payload && payload.event) {
+      track(String(payload.event), payload.params);
+    }
+  });
+}
+
+window.SoundimalsHost.track = track;
+window.SoundimalsHost.setAnalyticsConsent = setAnalyticsConsent;
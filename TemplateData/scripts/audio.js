@@ -0,0 +1,189 @@
+/**
+ * Unity WebGL Template - PWA
+ * Web Audio unlock and audio lifecycle
+ *
+ * Browsers keep audio suspended until the player interacts with the page.
+ * Every AudioContext the game creates is tracked, a "tap to play with sound"
+ * splash is shown if audio is still locked once the game has loaded, and
+ * the first pointer or key gesture resumes all contexts. Audio is muted while
+ * the tab is hidden or the page is being put away (pagehide covers iOS
+ * Safari, which does not always fire visibilitychange), and while an
+ * embedding page asks for it. Each of these is a separate mute reason, and
+ * audio only comes back once none is left. The game is told about every
+ * change through the host object's SetAudioState method.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+// Every AudioContext created on the page, Unity's included
+const audioContexts = [];
+
+let audioSplash = null;
+let audioUnlocked = false;
+let audioMuted = false;
+
+// Why audio is muted: "visibility", "pagehide" and/or "embed"
+const audioMuteReasons = new Set();
+
+//-----------------------------------------------------------------------------
+// AudioContext Tracking
+//-----------------------------------------------------------------------------
+
+/**
+ * Wrap the AudioContext constructors so contexts created by the Unity
+ * framework are tracked. Must run before the Unity loader script.
+ */
+function trackAudioContexts() {
+  ["AudioContext", "webkitAudioContext"].forEach((name) => {
+    const NativeAudioContext = window[name];
+    if (!NativeAudioContext) {
+      return;
+    }
+
+    const TrackedAudioContext = function (options) {
+      const context = new NativeAudioContext(options);
+      audioContexts.push(context);
+      return context;
+    };
+    TrackedAudioContext.prototype = NativeAudioContext.prototype;
+    window[name] = TrackedAudioContext;
+  });
+}
+
+/**
+ * Whether any tracked context is still waiting for a user gesture
+ * @returns {boolean} True if audio is locked
+ */
+function isAudioLocked() {
+  return audioContexts.some((context) => context.state === "suspended");
+}
+
+//-----------------------------------------------------------------------------
+// Unlock
+//-----------------------------------------------------------------------------
+
+/**
+ * Listen for the first gesture that may start audio
+ */
+function setupAudioLifecycle() {
+  audioSplash = document.querySelector("#unity-audio-splash");
+  if (audioSplash) {
+    audioSplash.addEventListener("click", unlockAudio);
+  }
+
+  ["pointerdown", "touchend", "keydown"].forEach((type) => {
+    document.addEventListener(type, unlockAudio, { capture: true, passive: true });
+  });
+
+  document.addEventListener("visibilitychange", () => {
+    setAudioMuted(document.visibilityState === "hidden", "visibility");
+  });
+  window.addEventListener("pagehide", () => setAudioMuted(true, "pagehide"));
+  window.addEventListener("pageshow", () => {
+    setAudioMuted(false, "pagehide");
+    setAudioMuted(document.visibilityState === "hidden", "visibility");
+  });
+}
+
+/**
+ * Called once the Unity instance exists: show the splash if audio is locked
+ */
+function onUnityAudioReady() {
+  if (isAudioLocked() && audioSplash) {
+    audioSplash.style.display = "flex";
+  } else if (audioContexts.length) {
+    audioUnlocked = true;
+  }
+
+  // A restarted instance brings new contexts; keep them quiet while muted
+  if (audioMuted) {
+    audioContexts.forEach((context) => {
+      if (context.state === "running") {
+        context.suspend().catch(() => {});
+      }
+    });
+  }
+  reportAudioState("ready");
+}
+
+/**
+ * Resume suspended contexts from a user gesture
+ */
+function unlockAudio() {
+  if (audioMuted) {
+    return;
+  }
+
+  Promise.all(audioContexts.map((context) => context.state === "suspended" ? context.resume() : null))
+    .then(() => {
+      if (!audioContexts.length || isAudioLocked()) {
+        return;
+      }
+
+      if (audioSplash && audioSplash.style.display !== "none") {
+        audioSplash.style.display = "none";
+        focusGame();
+      }
+      if (!audioUnlocked) {
+        audioUnlocked = true;
+        reportAudioState("unlock");
+      }
+    })
+    .catch((error) => {
+      console.warn("Audio resume failed:", error);
+    });
+}
+
+//-----------------------------------------------------------------------------
+// Muting
+//-----------------------------------------------------------------------------
+
+/**
+ * Add or remove a reason to mute the game; audio plays when none is left
+ * @param {boolean} muted - True to add the reason, false to remove it
+ * @param {string} reason - "visibility", "pagehide" or "embed", passed on
+ *   to the game
+ */
+function setAudioMuted(muted, reason) {
+  if (muted) {
+    audioMuteReasons.add(reason);
+  } else {
+    audioMuteReasons.delete(reason);
+  }
+
+  muted = audioMuteReasons.size > 0;
+  if (muted === audioMuted) {
+    return;
+  }
+  audioMuted = muted;
+
+  audioContexts.forEach((context) => {
+    if (context.state === "closed") {
+      return;
+    }
+    // Resuming needs an earlier unlock; a locked context waits for the next gesture
+    const change = muted ? context.suspend() : (audioUnlocked ? context.resume() : null);
+    if (change) {
+      change.catch(() => {});
+    }
+  });
+
+  reportAudioState(reason);
+}
+
+/**
+ * Tell the game about the current audio state
+ * @param {string} reason - What triggered the report
+ */
+function reportAudioState(reason) {
+  sendHostMessage("SetAudioState", JSON.stringify({
+    unlocked: audioUnlocked,
+    muted: audioMuted,
+    reason: reason
+  }));
+}
+
+// Start tracking right away, before the Unity loader creates any context
+trackAudioContexts();
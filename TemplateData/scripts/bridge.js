@@ -0,0 +1,316 @@
+/**
+ * Unity WebGL Template - PWA
+ * JS <-> Unity message bridge
+ *
+ * Keeps the Unity instance created by createUnityInstance and provides
+ * three channels between the page and the game:
+ *
+ *   Page -> Unity  sendUnityMessage()/sendHostMessage() wrap SendMessage and
+ *                  queue calls made before the game has finished loading.
+ *   Unity -> Page  the game calls SoundimalsHost.dispatch(event, json) from a
+ *                  jslib; the page subscribes with onUnityEvent().
+ *   Request        requestUnity() sends {id, method, payload} as JSON to the
+ *                  host object's OnHostRequest method and resolves when the
+ *                  game answers with SoundimalsHost.respond(id, json) or
+ *                  SoundimalsHost.reject(id, message).
+ *
+ * Matching jslib functions look like:
+ *
+ *   SoundimalsDispatch: function (event, json) {
+ *     window.SoundimalsHost.dispatch(UTF8ToString(event), UTF8ToString(json));
+ *   }
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} QueuedUnityMessage
+ * @property {?string} gameObject - Target game object, null for the host object
+ * @property {string} method - Method to call on the game object
+ * @property {(string|number|undefined)} value - Optional argument
+ * @property {function()} [callback] - Run instead of SendMessage, in queue order
+ */
+
+/**
+ * @typedef {Object} UnityRequest
+ * @property {number} id - Correlation id echoed back by respond()/reject()
+ * @property {string} method - Request name, e.g. "GetProgress"
+ * @property {*} payload - JSON-serializable request data
+ */
+
+const UNITY_REQUEST_TIMEOUT = 10000;
+
+// Unity instance and the game object that receives host messages
+let unityInstance = null;
+let unityHostObject = null;
+
+/** @type {QueuedUnityMessage[]} */
+let unityMessageQueue = [];
+
+// Event name -> handlers; "*" receives every event
+const unityEventHandlers = {};
+
+// Why the game is paused ("orientation", "context", "embed", "host"), so a
+// new instance can be paused the same way
+const unityPauseReasons = new Set();
+
+// Request id -> {resolve, reject, timer}
+const pendingUnityRequests = {};
+let nextUnityRequestId = 1;
+
+window.SoundimalsHost = window.SoundimalsHost || {};
+
+//-----------------------------------------------------------------------------
+// Instance Lifecycle
+//-----------------------------------------------------------------------------
+
+/**
+ * Set the game object that receives host messages and requests
+ * @param {string} hostObject - Game object name from the build descriptor
+ */
+function setUnityHostObject(hostObject) {
+  unityHostObject = hostObject;
+}
+
+/**
+ * Keep the running Unity instance and deliver queued messages
+ * @param {Object} instance - Instance resolved by createUnityInstance
+ */
+function attachUnityInstance(instance) {
+  unityInstance = instance;
+
+  const queue = unityMessageQueue;
+  unityMessageQueue = [];
+  queue.forEach((message) => {
+    if (message.callback) {
+      message.callback();
+    } else {
+      deliverUnityMessage(message);
+    }
+  });
+}
+
+/**
+ * Forget the Unity instance, e.g. after Quit(). Later messages queue again.
+ */
+function detachUnityInstance() {
+  unityInstance = null;
+}
+
+//-----------------------------------------------------------------------------
+// Page -> Unity Messages
+//-----------------------------------------------------------------------------
+
+/**
+ * Call a method on a Unity game object, queued until the game is running
+ * @param {string} gameObject - Target game object
+ * @param {string} method - Method to call
+ * @param {string|number} [value] - Optional argument
+ */
+function sendUnityMessage(gameObject, method, value) {
+  const message = { gameObject: gameObject, method: method, value: value };
+
+  if (unityInstance) {
+    deliverUnityMessage(message);
+  } else {
+    unityMessageQueue.push(message);
+  }
+}
+
+/**
+ * Call a method on the game's host object
+ * @param {string} method - Method on the host object
+ * @param {string|number} [value] - Optional argument
+ */
+function sendHostMessage(method, value) {
+  sendUnityMessage(null, method, value);
+}
+
+/**
+ * Pause the game; it stays paused for this reason until resumeUnityGame
+ * @param {string} reason - Why, passed on to the host object's Pause
+ */
+function pauseUnityGame(reason) {
+  unityPauseReasons.add(reason);
+  sendHostMessage("Pause", reason);
+}
+
+/**
+ * Lift one reason for pausing the game
+ * @param {string} reason - Reason given to pauseUnityGame
+ */
+function resumeUnityGame(reason) {
+  unityPauseReasons.delete(reason);
+  sendHostMessage("Resume", reason);
+}
+
+/**
+ * Hand one message to SendMessage
+ * @param {QueuedUnityMessage} message - Message to deliver
+ */
+function deliverUnityMessage(message) {
+  const gameObject = message.gameObject || unityHostObject;
+  if (!gameObject) {
+    console.warn("No Unity host object configured, dropping message:", message.method);
+    return;
+  }
+
+  try {
+    if (message.value === undefined) {
+      unityInstance.SendMessage(gameObject, message.method);
+    } else {
+      unityInstance.SendMessage(gameObject, message.method, message.value);
+    }
+  } catch (error) {
+    console.warn("SendMessage " + gameObject + "." + message.method + " failed:", error);
+  }
+}
+
+//-----------------------------------------------------------------------------
+// Unity -> Page Events
+//-----------------------------------------------------------------------------
+
+/**
+ * Subscribe to an event sent by the game
+ * @param {string} eventName - Event name, or "*" for every event
+ * @param {function(*, string)} handler - Receives the parsed payload and event name
+ * @returns {function()} Unsubscribe function
+ */
+function onUnityEvent(eventName, handler) {
+  (unityEventHandlers[eventName] = unityEventHandlers[eventName] || []).push(handler);
+  return () => offUnityEvent(eventName, handler);
+}
+
+/**
+ * Remove an event subscription
+ * @param {string} eventName - Event name used with onUnityEvent()
+ * @param {function(*, string)} handler - Handler to remove
+ */
+function offUnityEvent(eventName, handler) {
+  const handlers = unityEventHandlers[eventName];
+  if (handlers) {
+    unityEventHandlers[eventName] = handlers.filter((h) => h !== handler);
+  }
+}
+
+/**
+ * Entry point for events sent by the game
+ * @param {string} eventName - Event name
+ * @param {string} [json] - JSON encoded payload
+ */
+function dispatchUnityEvent(eventName, json) {
+  const payload = parseUnityJson(json);
+  const handlers = (unityEventHandlers[eventName] || []).concat(unityEventHandlers["*"] || []);
+
+  handlers.forEach((handler) => {
+    try {
+      handler(payload, eventName);
+    } catch (error) {
+      console.error("Unity event handler for " + eventName + " failed:", error);
+    }
+  });
+}
+
+/**
+ * Parse a JSON payload from the game, tolerating empty and plain strings
+ * @param {string} [json] - JSON text
+ * @returns {*} Parsed value
+ */
+function parseUnityJson(json) {
+  if (json === undefined || json === null || json === "") {
+    return null;
+  }
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    return json;
+  }
+}
+
+//-----------------------------------------------------------------------------
+// Request / Response
+//-----------------------------------------------------------------------------
+
+/**
+ * Send a request to the game's host object and wait for the answer
+ * @param {string} method - Request name
+ * @param {*} [payload] - JSON-serializable request data
+ * @param {number} [timeout] - Milliseconds to wait after delivery
+ * @returns {Promise<*>} Parsed response payload
+ */
+function requestUnity(method, payload, timeout = UNITY_REQUEST_TIMEOUT) {
+  const id = nextUnityRequestId++;
+
+  return new Promise((resolve, reject) => {
+    pendingUnityRequests[id] = { resolve: resolve, reject: reject, timer: null, timeout: timeout };
+
+    /** @type {UnityRequest} */
+    const request = { id: id, method: method, payload: payload === undefined ? null : payload };
+    sendHostMessage("OnHostRequest", JSON.stringify(request));
+
+    // Start the clock once the game can actually answer
+    whenUnityReady(() => {
+      const pending = pendingUnityRequests[id];
+      if (pending) {
+        pending.timer = setTimeout(() => {
+          settleUnityRequest(id, null, "Unity request " + method + " timed out");
+        }, pending.timeout);
+      }
+    });
+  });
+}
+
+/**
+ * Run a callback once the Unity instance is attached
+ * @param {function()} callback - Callback to run
+ */
+function whenUnityReady(callback) {
+  if (unityInstance) {
+    callback();
+  } else {
+    unityMessageQueue.push({ gameObject: null, method: null, value: undefined, callback: callback });
+  }
+}
+
+/**
+ * Resolve or reject a pending request
+ * @param {number} id - Correlation id
+ * @param {string} [json] - JSON response payload
+ * @param {string} [error] - Error message, rejects the request when set
+ */
+function settleUnityRequest(id, json, error) {
+  const pending = pendingUnityRequests[id];
+  if (!pending) {
+    return;
+  }
+
+  delete pendingUnityRequests[id];
+  clearTimeout(pending.timer);
+
+  if (error) {
+    pending.reject(new Error(error));
+  } else {
+    pending.resolve(parseUnityJson(json));
+  }
+}
+
+//-----------------------------------------------------------------------------
+// Public API
+//-----------------------------------------------------------------------------
+
+window.SoundimalsHost.sendMessage = sendUnityMessage;
+window.SoundimalsHost.request = requestUnity;
+window.SoundimalsHost.on = onUnityEvent;
+window.SoundimalsHost.off = offUnityEvent;
+window.SoundimalsHost.dispatch = dispatchUnityEvent;
+window.SoundimalsHost.respond = (id, json) => settleUnityRequest(Number(id), json, null);
+window.SoundimalsHost.reject = (id, message) => settleUnityRequest(Number(id), null, message || "Unity request failed");
+
+// Commands understood by the game's host object
+window.SoundimalsHost.pause = () => pauseUnityGame("host");
+window.SoundimalsHost.resume = () => resumeUnityGame("host");
+window.SoundimalsHost.setVolume = (volume) => sendHostMessage("SetVolume", Math.max(0, Math.min(1, Number(volume))));
+window.SoundimalsHost.setLanguage = (locale) => setLocale(String(locale));
+window.SoundimalsHost.loadLevel = (levelId) => sendHostMessage("LoadLevel", String(levelId));
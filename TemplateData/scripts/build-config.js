@@ -0,0 +1,216 @@
+/**
+ * Unity WebGL Template - PWA
+ * Build descriptor resolution
+ *
+ * Everything that identifies a Unity build (file names, compression suffix,
+ * streaming assets location and product metadata) lives in build.json next
+ * to the Build/ folder. The page can pick another descriptor or override
+ * single fields from the query string, which lets staging, CDN-hosted and
+ * A/B builds share this template:
+ *
+ *   ?build=build.staging.json            use another descriptor
+ *   ?buildUrl=https://cdn.example/b/42   override a single field
+ *
+ * URL overrides are only accepted for this origin or for origins listed in
+ * the descriptor's `allowedOrigins`, so a crafted link cannot load foreign code.
+ *
+ * service-worker.js imports this file too, so everything outside
+ * resolveBuildConfig() must work without a window.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+const BUILD_DESCRIPTOR_URL = "build.json";
+
+// Used when build.json is missing or unreadable
+const DEFAULT_BUILD_DESCRIPTOR = {
+  buildUrl: "Build",
+  loaderUrl: "soundimals-demo.loader.js",
+  dataUrl: "soundimals-demo.data",
+  frameworkUrl: "soundimals-demo.framework.js",
+  codeUrl: "soundimals-demo.wasm",
+  compressionSuffix: ".unityweb",
+  streamingAssetsUrl: "StreamingAssets",
+  companyName: "chfn",
+  productName: "soundimals",
+  productVersion: "1.0.0",
+  hostObject: "WebHost",
+  display: {},
+  errorReporting: {},
+  analytics: {},
+  performance: {},
+  embed: {},
+  storage: {},
+  allowedOrigins: []
+};
+
+// Descriptor fields that may be overridden from the query string
+const BUILD_URL_FIELDS = ["buildUrl", "loaderUrl", "dataUrl", "frameworkUrl", "codeUrl", "streamingAssetsUrl"];
+const BUILD_TEXT_FIELDS = ["compressionSuffix", "companyName", "productName", "productVersion"];
+
+let buildConfigPromise = null;
+
+//-----------------------------------------------------------------------------
+// Descriptor Resolution
+//-----------------------------------------------------------------------------
+
+/**
+ * Resolve the build configuration once; later calls share the same result
+ * @returns {Promise<Object>} Resolved build configuration
+ */
+function resolveBuildConfig() {
+  if (!buildConfigPromise) {
+    const params = new URLSearchParams(window.location.search);
+    let descriptorUrl = params.get("build") || BUILD_DESCRIPTOR_URL;
+    if (!isSameOrigin(descriptorUrl)) {
+      console.warn("Ignoring cross-origin build descriptor:", descriptorUrl);
+      descriptorUrl = BUILD_DESCRIPTOR_URL;
+    }
+
+    buildConfigPromise = fetchBuildDescriptor(descriptorUrl)
+      .then((descriptor) => {
+        const config = createBuildConfig(applyBuildOverrides(descriptor, params), descriptorUrl);
+        // The service worker only knows the descriptor, not the query string
+        config.overridden = BUILD_URL_FIELDS.concat(BUILD_TEXT_FIELDS).some((field) => params.has(field));
+        return config;
+      });
+  }
+  return buildConfigPromise;
+}
+
+/**
+ * Fetch a build descriptor, falling back to the built-in defaults
+ * @param {string} descriptorUrl - Location of the JSON descriptor (same origin)
+ * @returns {Promise<Object>} Descriptor merged over the defaults
+ */
+function fetchBuildDescriptor(descriptorUrl) {
+  return fetch(descriptorUrl, { cache: "no-cache" })
+    .then(readBuildDescriptor)
+    .catch((error) => {
+      console.warn("Build descriptor " + descriptorUrl + " unavailable, using defaults:", error);
+      return Object.assign({}, DEFAULT_BUILD_DESCRIPTOR);
+    });
+}
+
+/**
+ * Read a descriptor response and merge it over the defaults
+ * @param {Response} response - Descriptor response
+ * @returns {Promise<Object>} Merged descriptor; rejects on HTTP errors
+ */
+function readBuildDescriptor(response) {
+  if (!response.ok) {
+    return Promise.reject(new Error("HTTP " + response.status));
+  }
+  return response.json().then((descriptor) => Object.assign({}, DEFAULT_BUILD_DESCRIPTOR, descriptor));
+}
+
+/**
+ * Apply query-string overrides to a descriptor
+ * @param {Object} descriptor - Descriptor to override
+ * @param {URLSearchParams} params - Page query parameters
+ * @returns {Object} Descriptor with overrides applied
+ */
+function applyBuildOverrides(descriptor, params) {
+  const result = Object.assign({}, descriptor);
+
+  BUILD_URL_FIELDS.forEach((field) => {
+    const value = params.get(field);
+    if (value === null) {
+      return;
+    }
+    if (isAllowedBuildUrl(value, descriptor.allowedOrigins)) {
+      result[field] = value;
+    } else {
+      console.warn("Ignoring build override " + field + "=" + value + " (origin not allowed)");
+    }
+  });
+
+  BUILD_TEXT_FIELDS.forEach((field) => {
+    const value = params.get(field);
+    if (value !== null) {
+      result[field] = value;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Turn a descriptor into the URLs and metadata used by the loader
+ * @param {Object} descriptor - Fully merged descriptor
+ * @param {string} descriptorUrl - Where the descriptor came from
+ * @returns {Object} Build configuration
+ */
+function createBuildConfig(descriptor, descriptorUrl) {
+  const buildUrl = descriptor.buildUrl.replace(/\/+$/, "");
+  const suffix = descriptor.compressionSuffix || "";
+
+  return {
+    descriptorUrl: descriptorUrl,
+    buildUrl: buildUrl,
+    loaderUrl: joinBuildUrl(buildUrl, descriptor.loaderUrl),
+    dataUrl: joinBuildUrl(buildUrl, descriptor.dataUrl + suffix),
+    frameworkUrl: joinBuildUrl(buildUrl, descriptor.frameworkUrl + suffix),
+    codeUrl: joinBuildUrl(buildUrl, descriptor.codeUrl + suffix),
+    streamingAssetsUrl: descriptor.streamingAssetsUrl,
+    companyName: descriptor.companyName,
+    productName: descriptor.productName,
+    productVersion: descriptor.productVersion,
+    hostObject: descriptor.hostObject,
+    display: descriptor.display,
+    errorReporting: descriptor.errorReporting,
+    analytics: descriptor.analytics,
+    performance: descriptor.performance,
+    embed: descriptor.embed,
+    storage: descriptor.storage
+  };
+}
+
+//-----------------------------------------------------------------------------
+// URL Helpers
+//-----------------------------------------------------------------------------
+
+/**
+ * Resolve a file name against the build folder; absolute URLs are kept as-is
+ * @param {string} buildUrl - Build folder
+ * @param {string} file - File name or absolute URL
+ * @returns {string} Combined URL
+ */
+function joinBuildUrl(buildUrl, file) {
+  if (/^([a-z]+:)?\/\//i.test(file) || file.charAt(0) === "/") {
+    return file;
+  }
+  return buildUrl + "/" + file;
+}
+
+/**
+ * Check whether a URL points at this page's origin
+ * @param {string} url - Absolute or relative URL
+ * @returns {boolean} True for same-origin URLs
+ */
+function isSameOrigin(url) {
+  try {
+    return new URL(url, self.location.href).origin === self.location.origin;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a build URL override may be used
+ * @param {string} url - Overriding URL
+ * @param {string[]} allowedOrigins - Extra origins allowed by the descriptor
+ * @returns {boolean} True if the URL is same-origin or allowlisted
+ */
+function isAllowedBuildUrl(url, allowedOrigins) {
+  if (isSameOrigin(url)) {
+    return true;
+  }
+  try {
+    return (allowedOrigins || []).indexOf(new URL(url, self.location.href).origin) !== -1;
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Unity WebGL Template - PWA
+ * Canvas sizing engine
+ *
+ * Works out the CSS size of the Unity canvas from a design resolution,
+ * a fit mode and an orientation policy. The calculations take the viewport
+ * (or the window it is read from) as an argument instead of touching the
+ * page, so they can be exercised with a fake window.
+ *
+ * Fit modes:
+ *   contain  - letterbox: largest size that fits, aspect ratio kept
+ *   cover    - crop: smallest size that fills, aspect ratio kept
+ *   stretch  - fill the viewport, the fixed design resolution is stretched
+ *   unity    - fill the viewport and let Unity follow the canvas size
+ *              (matchWebGLToCanvasSize), the game lays itself out
+ *
+ * Orientation policies:
+ *   portrait   - the design resolution is always used in portrait
+ *   landscape  - the design resolution is always used in landscape
+ *   auto       - the design resolution rotates with the viewport
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+const FIT_MODES = ["contain", "cover", "stretch", "unity"];
+const ORIENTATION_POLICIES = ["portrait", "landscape", "auto"];
+
+const DEFAULT_DISPLAY_OPTIONS = {
+  designWidth: 750,
+  designHeight: 1334,
+  fitMode: "contain",
+  orientation: "portrait"
+};
+
+// Active display options, replaced once the build descriptor is resolved
+let displayOptions = Object.assign({}, DEFAULT_DISPLAY_OPTIONS);
+
+//-----------------------------------------------------------------------------
+// Options
+//-----------------------------------------------------------------------------
+
+/**
+ * Merge display options from the build descriptor and the query string
+ * (?designWidth=, ?designHeight=, ?fitMode=, ?orientation=)
+ * @param {Object} [display] - `display` section of the build descriptor
+ * @param {URLSearchParams} [params] - Page query parameters
+ * @returns {Object} Validated display options
+ */
+function resolveDisplayOptions(display, params) {
+  const source = Object.assign({}, DEFAULT_DISPLAY_OPTIONS, display);
+  if (params) {
+    ["designWidth", "designHeight", "fitMode", "orientation"].forEach((key) => {
+      if (params.has(key)) {
+        source[key] = params.get(key);
+      }
+    });
+  }
+
+  const options = {
+    designWidth: parseInt(source.designWidth, 10),
+    designHeight: parseInt(source.designHeight, 10),
+    fitMode: source.fitMode,
+    orientation: source.orientation
+  };
+
+  if (!(options.designWidth > 0) || !(options.designHeight > 0)) {
+    console.warn("Invalid design resolution, using defaults:", source.designWidth, source.designHeight);
+    options.designWidth = DEFAULT_DISPLAY_OPTIONS.designWidth;
+    options.designHeight = DEFAULT_DISPLAY_OPTIONS.designHeight;
+  }
+  if (FIT_MODES.indexOf(options.fitMode) === -1) {
+    console.warn("Unknown fit mode, using " + DEFAULT_DISPLAY_OPTIONS.fitMode + ":", options.fitMode);
+    options.fitMode = DEFAULT_DISPLAY_OPTIONS.fitMode;
+  }
+  if (ORIENTATION_POLICIES.indexOf(options.orientation) === -1) {
+    console.warn("Unknown orientation policy, using " + DEFAULT_DISPLAY_OPTIONS.orientation + ":", options.orientation);
+    options.orientation = DEFAULT_DISPLAY_OPTIONS.orientation;
+  }
+
+  return options;
+}
+
+/**
+ * Replace the active display options
+ * @param {Object} options - Options from resolveDisplayOptions()
+ */
+function setDisplayOptions(options) {
+  displayOptions = Object.assign({}, options);
+}
+
+//-----------------------------------------------------------------------------
+// Viewport Measurement
+//-----------------------------------------------------------------------------
+
+/**
+ * Read the area available to the canvas
+ * @param {Window} win - Window to measure (a fake one in tests)
+ * @param {Object} device - Device flags ({isMobileDevice})
+ * @returns {{width: number, height: number}} Available size in CSS pixels
+ */
+function readViewport(win, device) {
+  let width, height;
+
+  if (win.visualViewport && device.isMobileDevice) {
+    // Visual viewport gives us the actual visible area excluding browser UI
+    width = win.visualViewport.width;
+    height = win.visualViewport.height;
+  } else {
+    width = win.innerWidth;
+    height = win.innerHeight;
+
+    // For mobile without visual viewport support, estimate browser UI space
+    if (device.isMobileDevice) {
+      height = height * 0.85;
+    }
+  }
+
+  return { width: width, height: height };
+}
+
+//-----------------------------------------------------------------------------
+// Layout Calculation
+//-----------------------------------------------------------------------------
+
+/**
+ * Orient the design resolution according to the orientation policy
+ * @param {{width: number, height: number}} viewport - Available size
+ * @param {Object} options - Display options
+ * @returns {{width: number, height: number, orientation: string}} Design size in use
+ */
+function getOrientedDesignSize(viewport, options) {
+  const shortSide = Math.min(options.designWidth, options.designHeight);
+  const longSide = Math.max(options.designWidth, options.designHeight);
+
+  let orientation = options.orientation;
+  if (orientation === "auto") {
+    orientation = viewport.width > viewport.height ? "landscape" : "portrait";
+  }
+
+  return orientation === "landscape"
+    ? { width: longSide, height: shortSide, orientation: orientation }
+    : { width: shortSide, height: longSide, orientation: orientation };
+}
+
+/**
+ * Compute the canvas layout for a viewport
+ * @param {{width: number, height: number}} viewport - Available size
+ * @param {Object} options - Display options
+ * @param {Object} [limits] - Optional {minScale, maxScale} for contain/cover
+ * @returns {Object} Layout with CSS width/height, the oriented design size,
+ *   and whether the viewport orientation matches the game
+ */
+function computeCanvasLayout(viewport, options, limits) {
+  const design = getOrientedDesignSize(viewport, options);
+  const viewportOrientation = viewport.width > viewport.height ? "landscape" : "portrait";
+  let width, height;
+
+  if (options.fitMode === "stretch" || options.fitMode === "unity") {
+    width = viewport.width;
+    height = viewport.height;
+  } else {
+    const scaleX = viewport.width / design.width;
+    const scaleY = viewport.height / design.height;
+    let scale = options.fitMode === "cover" ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+
+    if (limits) {
+      if (limits.maxScale !== undefined) {
+        scale = Math.min(scale, limits.maxScale);
+      }
+      if (limits.minScale !== undefined) {
+        scale = Math.max(scale, limits.minScale);
+      }
+    }
+
+    width = design.width * scale;
+    height = design.height * scale;
+  }
+
+  return {
+    width: width,
+    height: height,
+    designWidth: design.width,
+    designHeight: design.height,
+    orientation: design.orientation,
+    orientationMatches: design.orientation === viewportOrientation
+  };
+}
+
+/**
+ * Whether Unity should keep the render target matched to the canvas size.
+ * Only stretch renders at a fixed design resolution.
+ * @param {Object} options - Display options
+ * @returns {boolean} Value for config.matchWebGLToCanvasSize
+ */
+function shouldMatchWebGLToCanvasSize(options) {
+  return options.fitMode !== "stretch";
+}
@@ -0,0 +1,269 @@
+/**
+ * Unity WebGL Template - PWA
+ * WebGL context loss recovery
+ *
+ * Browsers drop the WebGL context when they need the GPU memory back, most
+ * often iOS Safari after the page has been in the background. Instead of
+ * leaving a frozen black canvas, the game is paused, told through the host
+ * object's SetContextState method, and a "tap to resume" overlay is shown.
+ * If the browser restores the context the tap simply resumes the game. If
+ * it does not (or the game reports "contextRestoreFailed" through the
+ * bridge) the instance is quit after its file system is synced, the canvas
+ * is replaced and createUnityInstance runs again; saved progress lives in
+ * IndexedDB and survives the restart. Every loss, restore and restart is
+ * sent to the error pipeline.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+// How long a tap waits for the browser to restore the context
+const CONTEXT_RESTORE_TIMEOUT = 3000;
+
+// How long to wait for the file system sync before quitting anyway
+const CONTEXT_SYNC_TIMEOUT = 2000;
+
+// Restarts per page load before giving up and offering a reload
+const MAX_CONTEXT_RESTARTS = 2;
+
+let contextOverlay = null;
+let contextLost = false;
+let contextRestored = false;
+let contextRestarting = false;
+let contextRestartDeferred = false;
+let contextResumeTimer = null;
+let contextRestartCount = 0;
+let contextLossCount = 0;
+
+//-----------------------------------------------------------------------------
+// Detection
+//-----------------------------------------------------------------------------
+
+/**
+ * Watch the canvas for context loss and set up the overlay
+ */
+function setupContextRecovery() {
+  contextOverlay = document.querySelector("#unity-context-overlay");
+  if (contextOverlay) {
+    contextOverlay.addEventListener("click", resumeAfterContextLoss);
+    contextOverlay.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" || event.key === " ") {
+        resumeAfterContextLoss();
+      }
+    });
+  }
+
+  // The game can tell us it could not rebuild its GPU resources
+  onUnityEvent("contextRestoreFailed", () => {
+    captureError("webglcontextrestorefailed", "Game could not rebuild after context restore");
+    restartUnityInstance();
+  });
+
+  watchCanvasContext(canvas);
+}
+
+/**
+ * Listen for loss and restore on a canvas
+ * @param {HTMLCanvasElement} target - Unity canvas
+ */
+function watchCanvasContext(target) {
+  target.addEventListener("webglcontextlost", onContextLost);
+  target.addEventListener("webglcontextrestored", onContextRestored);
+}
+
+/**
+ * Pause the game and ask the player to tap once it can be resumed
+ * @param {Event} event - webglcontextlost event
+ */
+function onContextLost(event) {
+  // Without this the browser never tries to restore the context
+  event.preventDefault();
+
+  contextLost = true;
+  contextRestored = false;
+  contextLossCount++;
+  captureError("webglcontextlost", "WebGL context lost", null, {
+    occurrence: contextLossCount,
+    visibility: document.visibilityState
+  });
+
+  pauseUnityGame("context");
+  sendHostMessage("SetContextState", "lost");
+  showContextOverlay();
+  announceAlert(t("context.tapToResume"));
+}
+
+/**
+ * The browser gave the context back; the next tap resumes the game
+ */
+function onContextRestored() {
+  contextRestored = true;
+  captureError("webglcontextrestored", "WebGL context restored", null, {
+    occurrence: contextLossCount
+  });
+}
+
+//-----------------------------------------------------------------------------
+// Recovery
+//-----------------------------------------------------------------------------
+
+/**
+ * The player tapped the overlay: resume if the context is back, otherwise
+ * give the browser a moment and restart the game if it still is not
+ */
+function resumeAfterContextLoss() {
+  if (!contextLost || contextRestarting || contextResumeTimer) {
+    return;
+  }
+
+  if (contextRestored) {
+    contextLost = false;
+    hideContextOverlay();
+    focusGame();
+    sendHostMessage("SetContextState", "restored");
+    resumeUnityGame("context");
+    return;
+  }
+
+  contextResumeTimer = setTimeout(() => {
+    contextResumeTimer = null;
+    if (contextLost && !contextRestored) {
+      restartUnityInstance();
+    } else {
+      resumeAfterContextLoss();
+    }
+  }, CONTEXT_RESTORE_TIMEOUT);
+}
+
+/**
+ * Quit the instance and create a new one on a fresh canvas
+ */
+function restartUnityInstance() {
+  if (contextRestarting) {
+    return;
+  }
+  // Never start a second instance while the first is still loading
+  if (unityLoadPending) {
+    contextRestartDeferred = true;
+    return;
+  }
+
+  if (contextRestartCount >= MAX_CONTEXT_RESTARTS) {
+    captureError("webglcontextrestart", "Giving up after " + contextRestartCount + " restarts");
+    hideContextOverlay();
+    showLoadingError(t("context.restartFailed"), () => window.location.reload());
+    return;
+  }
+
+  contextRestarting = true;
+  contextRestartCount++;
+  captureError("webglcontextrestart", "Restarting Unity instance", null, { restart: contextRestartCount });
+
+  const instance = unityInstance;
+  syncUnityFileSystem(instance)
+    .then(() => instance ? instance.Quit() : null)
+    .catch((error) => {
+      console.warn("Unity instance did not quit cleanly:", error);
+    })
+    .then(() => {
+      detachUnityInstance();
+      // The new instance starts fresh; don't replay this pause to it
+      unityPauseReasons.delete("context");
+      replaceUnityCanvas();
+      contextLost = false;
+      contextRestored = false;
+      contextRestarting = false;
+      hideContextOverlay();
+      return resolveBuildConfig();
+    })
+    .then((buildConfig) => startUnityGame(buildConfig));
+}
+
+/**
+ * Finish what a context loss during loading left open; called once
+ * createUnityInstance has settled
+ * @param {boolean} loaded - Whether the instance started
+ */
+function onUnityLoadSettled(loaded) {
+  const deferred = contextRestartDeferred;
+  contextRestartDeferred = false;
+  if (!contextLost) {
+    return;
+  }
+
+  if (loaded) {
+    if (deferred) {
+      restartUnityInstance();
+    }
+    return;
+  }
+
+  // The error panel's retry should start on a canvas with a working context
+  replaceUnityCanvas();
+  contextLost = false;
+  contextRestored = false;
+  hideContextOverlay();
+}
+
+/**
+ * Write the in-memory file system (PlayerPrefs, saves) back to IndexedDB
+ * @param {?Object} instance - Unity instance
+ * @returns {Promise} Resolves once synced, failed or timed out
+ */
+function syncUnityFileSystem(instance) {
+  const fs = instance && instance.Module && instance.Module.FS;
+  if (!fs || typeof fs.syncfs !== "function") {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    setTimeout(resolve, CONTEXT_SYNC_TIMEOUT);
+    fs.syncfs(false, (error) => {
+      if (error) {
+        console.warn("File system sync failed:", error);
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * Swap in a new canvas; a lost context stays attached to the old one
+ */
+function replaceUnityCanvas() {
+  const fresh = canvas.cloneNode(false);
+  fresh.isMobileDevice = canvas.isMobileDevice;
+  fresh.isIOS = canvas.isIOS;
+  fresh.isAndroid = canvas.isAndroid;
+
+  canvas.replaceWith(fresh);
+  canvas = fresh;
+
+  watchCanvasContext(canvas);
+  refreshCanvasSize();
+}
+
+//-----------------------------------------------------------------------------
+// Overlay
+//-----------------------------------------------------------------------------
+
+/**
+ * Show the "tap to resume" overlay
+ */
+function showContextOverlay() {
+  if (contextOverlay) {
+    contextOverlay.style.display = "flex";
+    contextOverlay.setAttribute("aria-hidden", "false");
+  }
+}
+
+/**
+ * Hide the "tap to resume" overlay
+ */
+function hideContextOverlay() {
+  if (contextOverlay) {
+    contextOverlay.style.display = "none";
+    contextOverlay.setAttribute("aria-hidden", "true");
+  }
+}
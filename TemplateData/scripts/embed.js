@@ -0,0 +1,209 @@
+/**
+ * Unity WebGL Template - PWA
+ * Embed mode and the parent page postMessage protocol
+ *
+ * When the page runs inside an iframe (or with ?embed=1) the canvas is
+ * sized to the frame instead of the device: no fixed 100vw/100vh container
+ * and no rotate prompt, since the frame's shape is the host page's choice.
+ *
+ * The parent page talks to the game with postMessage. Every message is
+ *
+ *   { protocol: "soundimals-embed", version: 1, type, name, id?, payload? }
+ *
+ * where type is "event" (game -> parent: ready, progress, error, and
+ * response to a command) or "command" (parent -> game: pause, resume,
+ * mute, setLocale, loadLevel). Only origins listed in the build
+ * descriptor are answered or posted to, besides this page's own origin:
+ *
+ *   "embed": { "parentOrigins": ["https://lessons.example"] }
+ *
+ * TemplateData/sdk/soundimals-embed.js wraps the protocol for parent pages.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+const EMBED_PROTOCOL = "soundimals-embed";
+const EMBED_PROTOCOL_VERSION = 1;
+
+let embedMode = false;
+let embedParentOrigins = null; // null until the build descriptor is resolved
+let embedParentOrigin = null;
+let pendingEmbedMessages = [];
+let lastEmbedProgress = -1;
+
+// Parent commands, each receiving the payload and returning an optional result
+const EMBED_COMMANDS = {
+  pause: () => pauseUnityGame("embed"),
+  resume: () => resumeUnityGame("embed"),
+  mute: (payload) => setAudioMuted(!payload || payload.muted !== false, "embed"),
+  setLocale: (payload) => {
+    if (!matchLocale(payload && payload.locale)) {
+      throw new Error("unsupported_locale");
+    }
+    return setLocale(payload.locale);
+  },
+  loadLevel: (payload) => sendHostMessage("LoadLevel", String(payload && payload.level))
+};
+
+//-----------------------------------------------------------------------------
+// Detection
+//-----------------------------------------------------------------------------
+
+/**
+ * Whether the page is framed by another page
+ * @param {Window} win - Window to check (a fake one in tests)
+ * @returns {boolean} True inside an iframe or with ?embed=1
+ */
+function detectEmbedMode(win) {
+  if (new URLSearchParams(win.location.search).get("embed") === "1") {
+    return true;
+  }
+  try {
+    return win.top !== win;
+  } catch (error) {
+    // A cross-origin top window can refuse the comparison; that is framed too
+    return true;
+  }
+}
+
+/**
+ * Switch to embed mode if framed and start listening to the parent
+ */
+function setupEmbed() {
+  embedMode = detectEmbedMode(window);
+  if (!embedMode) {
+    return;
+  }
+
+  document.documentElement.classList.add("unity-embedded");
+  window.addEventListener("message", onEmbedMessage);
+}
+
+/**
+ * Apply the descriptor's parent allowlist and handle held-back messages
+ * @param {Object} buildConfig - Resolved build configuration
+ */
+function configureEmbed(buildConfig) {
+  const options = buildConfig.embed || {};
+  embedParentOrigins = Array.isArray(options.parentOrigins) ? options.parentOrigins : [];
+
+  // Best guess at who framed us, until the parent speaks first
+  const ancestors = window.location.ancestorOrigins;
+  const framer = ancestors && ancestors.length ? ancestors[0] : getReferrerOrigin();
+  if (framer && isAllowedEmbedOrigin(framer)) {
+    embedParentOrigin = framer;
+  }
+
+  const pending = pendingEmbedMessages;
+  pendingEmbedMessages = [];
+  pending.forEach(onEmbedMessage);
+}
+
+/**
+ * @returns {?string} Origin of document.referrer, if any
+ */
+function getReferrerOrigin() {
+  try {
+    return document.referrer ? new URL(document.referrer).origin : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * @param {string} origin - Message origin
+ * @returns {boolean} True for this page's origin or an allowlisted parent
+ */
+function isAllowedEmbedOrigin(origin) {
+  return origin === window.location.origin || (embedParentOrigins || []).indexOf(origin) !== -1;
+}
+
+//-----------------------------------------------------------------------------
+// Parent -> Game
+//-----------------------------------------------------------------------------
+
+/**
+ * Handle a message from the parent page
+ * @param {MessageEvent} event - message event
+ */
+function onEmbedMessage(event) {
+  const message = event.data;
+  if (!message || message.protocol !== EMBED_PROTOCOL || message.type !== "command") {
+    return;
+  }
+
+  // Hold commands until the allowlist is known
+  if (embedParentOrigins === null) {
+    pendingEmbedMessages.push(event);
+    return;
+  }
+  if (event.source !== window.parent || !isAllowedEmbedOrigin(event.origin)) {
+    console.warn("Ignoring embed command from " + event.origin);
+    return;
+  }
+  embedParentOrigin = event.origin;
+
+  if (message.version > EMBED_PROTOCOL_VERSION) {
+    respondToEmbedCommand(message, "unsupported_version");
+    return;
+  }
+
+  const command = Object.prototype.hasOwnProperty.call(EMBED_COMMANDS, message.name) ? EMBED_COMMANDS[message.name] : null;
+  if (!command) {
+    respondToEmbedCommand(message, "unknown_command");
+    return;
+  }
+
+  Promise.resolve()
+    .then(() => command(message.payload))
+    .then(() => respondToEmbedCommand(message, null))
+    .catch((error) => respondToEmbedCommand(message, error && error.message ? error.message : String(error)));
+}
+
+/**
+ * Acknowledge a command
+ * @param {Object} message - Command message
+ * @param {?string} error - Error code or message, null on success
+ */
+function respondToEmbedCommand(message, error) {
+  postEmbedEvent("response", { ok: !error, error: error || undefined }, message.id);
+}
+
+//-----------------------------------------------------------------------------
+// Game -> Parent
+//-----------------------------------------------------------------------------
+
+/**
+ * Post an event to the parent page, if it is allowed to hear it
+ * @param {string} name - Event name
+ * @param {Object} [payload] - Event data
+ * @param {string|number} [id] - Command id this event answers
+ */
+function postEmbedEvent(name, payload, id) {
+  if (!embedMode || !embedParentOrigin || window.parent === window) {
+    return;
+  }
+
+  window.parent.postMessage({
+    protocol: EMBED_PROTOCOL,
+    version: EMBED_PROTOCOL_VERSION,
+    type: "event",
+    name: name,
+    id: id,
+    payload: payload
+  }, embedParentOrigin);
+}
+
+/**
+ * Forward loading progress in whole percent steps
+ * @param {number} progress - Unity progress between 0 and 1
+ */
+function postEmbedProgress(progress) {
+  const percent = Math.floor(progress * 100);
+  if (percent !== lastEmbedProgress) {
+    lastEmbedProgress = percent;
+    postEmbedEvent("progress", { progress: percent / 100 });
+  }
+}
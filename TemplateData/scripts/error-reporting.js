@@ -0,0 +1,299 @@
+/**
+ * Unity WebGL Template - PWA
+ * Structured error capture and crash reporting
+ *
+ * Collects Unity printErr output, Unity error banners and aborts, load
+ * failures, window errors, unhandled promise rejections and WebGL context
+ * loss into structured records. Each record carries the build version,
+ * user agent, device class, the preflight capability report and the most
+ * recent log lines. Records are sent
+ * in batches with navigator.sendBeacon to the endpoint configured in the
+ * build descriptor:
+ *
+ *   "errorReporting": { "endpoint": "https://errors.example/collect" }
+ *
+ * Batches that cannot be sent (offline, beacon refused) are spooled to
+ * IndexedDB and sent once the browser is back online or on the next visit.
+ * tools/error-report-server.js is a local stub endpoint for testing.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+const ERROR_REPORTING_DEFAULTS = {
+  endpoint: "",
+  batchSize: 10,
+  flushInterval: 10000,
+  maxRecordsPerSession: 100
+};
+
+const RECENT_LOG_LINES = 30;
+const ERROR_SPOOL_DB = "soundimals-error-spool";
+const ERROR_SPOOL_STORE = "batches";
+
+let errorReportingOptions = Object.assign({}, ERROR_REPORTING_DEFAULTS);
+let errorBuildInfo = null;
+let errorQueue = [];
+let errorRecordCount = 0;
+let errorFlushTimer = null;
+const recentLogLines = [];
+
+//-----------------------------------------------------------------------------
+// Setup
+//-----------------------------------------------------------------------------
+
+/**
+ * Start capturing page-level errors. Runs before the build config is known;
+ * records collected until then are sent once an endpoint is configured.
+ */
+function setupErrorReporting() {
+  window.addEventListener("error", (event) => {
+    // Resource load errors have no message, only a target
+    if (event.error || event.message) {
+      captureError("window.onerror", event.message, event.error, {
+        source: event.filename,
+        line: event.lineno,
+        column: event.colno
+      });
+    }
+  });
+
+  window.addEventListener("unhandledrejection", (event) => {
+    const reason = event.reason;
+    captureError("unhandledrejection", reason && reason.message ? reason.message : String(reason), reason);
+  });
+
+  // Send what is queued before the page goes away
+  window.addEventListener("pagehide", flushErrorQueue);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") {
+      flushErrorQueue();
+    }
+  });
+  window.addEventListener("online", sendSpooledErrors);
+}
+
+/**
+ * Apply the build's reporting options and start sending
+ * @param {Object} buildConfig - Resolved build configuration
+ */
+function configureErrorReporting(buildConfig) {
+  errorReportingOptions = Object.assign({}, ERROR_REPORTING_DEFAULTS, buildConfig.errorReporting);
+  errorBuildInfo = {
+    productName: buildConfig.productName,
+    productVersion: buildConfig.productVersion
+  };
+
+  // Records captured before the build info was known
+  errorQueue.forEach((record) => Object.assign(record, errorBuildInfo));
+
+  scheduleErrorFlush();
+  sendSpooledErrors();
+}
+
+//-----------------------------------------------------------------------------
+// Capture
+//-----------------------------------------------------------------------------
+
+/**
+ * Remember a log line for the recentLogs field of later records
+ * @param {string} line - Log line
+ */
+function recordLogLine(line) {
+  recentLogLines.push(new Date().toISOString() + " " + line);
+  if (recentLogLines.length > RECENT_LOG_LINES) {
+    recentLogLines.shift();
+  }
+}
+
+/**
+ * Unity's printErr hook
+ * @param {string} message - Message printed by the Unity runtime
+ */
+function captureUnityPrintErr(message) {
+  console.warn(message);
+  recordLogLine("[printErr] " + message);
+  captureError("printErr", message);
+}
+
+/**
+ * Unity's print hook, only kept as context for later records
+ * @param {string} message - Message printed by the Unity runtime
+ */
+function captureUnityPrint(message) {
+  console.log(message);
+  recordLogLine(message);
+}
+
+/**
+ * Record a Unity banner; "error" banners mean Unity aborted
+ * @param {string} message - Banner text
+ * @param {string} type - Banner type
+ */
+function captureUnityBanner(message, type) {
+  recordLogLine("[" + type + "] " + message);
+  if (type === "error") {
+    captureError("unity-abort", message);
+  }
+}
+
+/**
+ * Turn an error into a structured record and queue it
+ * @param {string} type - Where the error came from
+ * @param {string} message - Error message
+ * @param {Error} [error] - Original error, for the stack
+ * @param {Object} [extra] - Additional fields
+ */
+function captureError(type, message, error, extra) {
+  if (errorRecordCount >= errorReportingOptions.maxRecordsPerSession) {
+    return;
+  }
+  errorRecordCount++;
+
+  const record = Object.assign({
+    type: type,
+    message: String(message),
+    stack: error && error.stack ? String(error.stack) : null,
+    time: new Date().toISOString(),
+    url: window.location.href,
+    userAgent: navigator.userAgent,
+    deviceClass: getDeviceClass(),
+    capabilities: preflightReport,
+    recentLogs: recentLogLines.slice()
+  }, errorBuildInfo, extra);
+
+  errorQueue.push(record);
+  track("error", { error_type: type });
+
+  if (errorQueue.length >= errorReportingOptions.batchSize) {
+    flushErrorQueue();
+  }
+}
+
+/**
+ * Classify the device from the flags set in InitializeDOM
+ * @returns {string} "ios", "android", "mobile" or "desktop"
+ */
+function getDeviceClass() {
+  if (!canvas) {
+    return "unknown";
+  }
+  if (canvas.isIOS) {
+    return "ios";
+  }
+  if (canvas.isAndroid) {
+    return "android";
+  }
+  return canvas.isMobileDevice ? "mobile" : "desktop";
+}
+
+//-----------------------------------------------------------------------------
+// Delivery
+//-----------------------------------------------------------------------------
+
+/**
+ * Flush the queue on a timer
+ */
+function scheduleErrorFlush() {
+  clearInterval(errorFlushTimer);
+  if (errorReportingOptions.endpoint) {
+    errorFlushTimer = setInterval(flushErrorQueue, errorReportingOptions.flushInterval);
+  }
+}
+
+/**
+ * Send all queued records as one batch, spooling it if that is not possible
+ */
+function flushErrorQueue() {
+  if (!errorQueue.length || !errorReportingOptions.endpoint || !errorBuildInfo) {
+    return;
+  }
+
+  const batch = errorQueue;
+  errorQueue = [];
+
+  if (!sendErrorBatch(batch)) {
+    spoolErrorBatch(batch);
+  }
+}
+
+/**
+ * Send one batch with sendBeacon
+ * @param {Object[]} batch - Records to send
+ * @returns {boolean} True if the browser accepted the beacon
+ */
+function sendErrorBatch(batch) {
+  if (!navigator.onLine || !navigator.sendBeacon) {
+    return false;
+  }
+
+  // text/plain keeps the beacon a simple CORS request
+  const body = new Blob([JSON.stringify({ records: batch })], { type: "text/plain;charset=UTF-8" });
+  try {
+    return navigator.sendBeacon(errorReportingOptions.endpoint, body);
+  } catch (error) {
+    return false;
+  }
+}
+
+//-----------------------------------------------------------------------------
+// Offline Spool
+//-----------------------------------------------------------------------------
+
+/**
+ * Open the spool database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openErrorSpool() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB unavailable"));
+      return;
+    }
+
+    const request = indexedDB.open(ERROR_SPOOL_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(ERROR_SPOOL_STORE, { autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Keep a batch in IndexedDB until it can be sent
+ * @param {Object[]} batch - Records to keep
+ */
+function spoolErrorBatch(batch) {
+  openErrorSpool().then((db) => {
+    db.transaction(ERROR_SPOOL_STORE, "readwrite").objectStore(ERROR_SPOOL_STORE).add(batch);
+  }).catch((error) => {
+    console.warn("Could not spool error records:", error);
+  });
+}
+
+/**
+ * Send spooled batches, removing each one the browser accepts
+ */
+function sendSpooledErrors() {
+  if (!navigator.onLine || !errorReportingOptions.endpoint) {
+    return;
+  }
+
+  openErrorSpool().then((db) => {
+    const store = db.transaction(ERROR_SPOOL_STORE, "readwrite").objectStore(ERROR_SPOOL_STORE);
+    const request = store.openCursor();
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        return;
+      }
+      if (sendErrorBatch(cursor.value)) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+  }).catch(() => {});
+}
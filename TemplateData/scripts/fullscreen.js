@@ -0,0 +1,136 @@
+/**
+ * Unity WebGL Template - PWA
+ * Fullscreen mode manager
+ *
+ * Fullscreen can be toggled from the on-page button, with Alt+Enter, or by
+ * the game itself through window.SoundimalsHost.setFullscreen() from a jslib.
+ * Unity's own SetFullscreen is used once the game is running. It takes
+ * only the canvas, so the page's button and overlays are hidden until the
+ * player leaves fullscreen (Esc or the game's own control). Before that the
+ * whole #unity-container goes fullscreen through the Fullscreen API, and a
+ * CSS pseudo-fullscreen is used where that API is missing (iPhone Safari)
+ * or refused (an iframe without allow="fullscreen").
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+let fullscreenButton = null;
+let pseudoFullscreen = false;
+
+window.SoundimalsHost = window.SoundimalsHost || {};
+
+//-----------------------------------------------------------------------------
+// Setup
+//-----------------------------------------------------------------------------
+
+/**
+ * Setup the fullscreen button, keyboard shortcut and change listeners
+ */
+function setupFullscreen() {
+  fullscreenButton = document.querySelector("#unity-fullscreen-button");
+  if (fullscreenButton) {
+    fullscreenButton.addEventListener("click", () => setFullscreen(!isFullscreen()));
+  }
+
+  // Alt+Enter, the usual desktop game shortcut
+  document.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" && event.altKey && !event.repeat) {
+      event.preventDefault();
+      setFullscreen(!isFullscreen());
+    }
+  });
+
+  document.addEventListener("fullscreenchange", onFullscreenChange);
+  document.addEventListener("webkitfullscreenchange", onFullscreenChange);
+}
+
+//-----------------------------------------------------------------------------
+// Fullscreen State
+//-----------------------------------------------------------------------------
+
+/**
+ * Whether the page is fullscreen, natively or through the CSS fallback
+ * @returns {boolean} True when fullscreen
+ */
+function isFullscreen() {
+  return pseudoFullscreen || !!(document.fullscreenElement || document.webkitFullscreenElement);
+}
+
+/**
+ * Whether the browser can make an element fullscreen
+ * @returns {boolean} True if the Fullscreen API is usable
+ */
+function isFullscreenApiAvailable() {
+  return !!(container.requestFullscreen || container.webkitRequestFullscreen);
+}
+
+/**
+ * Enter or leave fullscreen. Must run from a user gesture, which includes
+ * calls made by Unity while handling a pointer or key event.
+ * @param {boolean} enabled - True to enter fullscreen, false to leave it
+ */
+function setFullscreen(enabled) {
+  enabled = !!enabled;
+  if (enabled === isFullscreen()) {
+    return;
+  }
+
+  if (!isFullscreenApiAvailable() || pseudoFullscreen) {
+    setPseudoFullscreen(enabled);
+    return;
+  }
+
+  if (unityInstance && typeof unityInstance.SetFullscreen === "function") {
+    unityInstance.SetFullscreen(enabled ? 1 : 0);
+    return;
+  }
+
+  const request = enabled
+    ? (container.requestFullscreen || container.webkitRequestFullscreen).call(container)
+    : (document.exitFullscreen || document.webkitExitFullscreen).call(document);
+
+  // Older WebKit returns undefined instead of a promise
+  if (request && request.catch) {
+    request.catch((error) => {
+      console.warn("Fullscreen request failed:", error);
+      if (enabled) {
+        setPseudoFullscreen(true);
+      }
+    });
+  }
+}
+
+/**
+ * CSS fallback for browsers without the Fullscreen API
+ * @param {boolean} enabled - True to enter pseudo-fullscreen
+ */
+function setPseudoFullscreen(enabled) {
+  pseudoFullscreen = enabled;
+  document.body.classList.toggle("unity-pseudo-fullscreen", enabled);
+
+  // Nudge iOS Safari into collapsing its toolbars
+  if (enabled) {
+    window.scrollTo(0, 1);
+  }
+
+  onFullscreenChange();
+}
+
+/**
+ * Keep the button and canvas size in sync with the fullscreen state
+ */
+function onFullscreenChange() {
+  const fullscreen = isFullscreen();
+
+  if (fullscreenButton) {
+    fullscreenButton.setAttribute("aria-pressed", fullscreen ? "true" : "false");
+  }
+  document.body.classList.toggle("unity-fullscreen", fullscreen);
+
+  refreshCanvasSize();
+}
+
+window.SoundimalsHost.setFullscreen = setFullscreen;
+window.SoundimalsHost.isFullscreen = isFullscreen;
@@ -0,0 +1,248 @@
+/**
+ * Unity WebGL Template - PWA
+ * Localization of the template-side UI
+ *
+ * The locale comes from the link's lang option (?lang=, #lang= or a shared
+ * link, see launch-options.js), then the player's last choice, then
+ * navigator.languages, falling back to zh-TW. Strings live in
+ * TemplateData/locales/<locale>.json; a table that cannot be fetched falls
+ * back to zh-TW, and to a few built-in strings if even that fails, so the
+ * loading screen never shows raw keys. Static text is marked up with
+ * data-i18n="key" (and data-i18n-aria-label="key" for labels) and is
+ * re-translated whenever the locale changes; dynamic text uses t().
+ * The chosen locale is mirrored to <html lang> and handed to the game,
+ * as "-locale <code>" in the Unity arguments and through the host
+ * object's SetLanguage method, so the page and the game always agree.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+const SUPPORTED_LOCALES = ["zh-TW", "en", "ja"];
+const DEFAULT_LOCALE = "zh-TW";
+const LOCALE_STORAGE_KEY = "soundimals:locale";
+const LOCALES_URL = "TemplateData/locales/";
+
+// Just enough to load the game, or report that it failed, when no string
+// table can be fetched at all (zh-TW, like DEFAULT_LOCALE)
+const FALLBACK_STRINGS = {
+  "loading.download": "下載中…",
+  "loading.compile": "準備中…",
+  "loading.start": "即將開始…",
+  "loading.errorTitle": "遊戲載入失敗",
+  "loading.retry": "再試一次",
+  "consent.text": "我們想使用分析工具來了解遊戲的使用情況，以改善遊戲體驗。是否同意？",
+  "consent.accept": "同意",
+  "consent.decline": "不同意",
+  "notification.dismiss": "關閉"
+};
+
+let currentLocale = DEFAULT_LOCALE;
+let localeStrings = {};
+let localeReady = Promise.resolve();
+let localeRequest = 0;
+
+window.SoundimalsHost = window.SoundimalsHost || {};
+
+//-----------------------------------------------------------------------------
+// Locale Detection
+//-----------------------------------------------------------------------------
+
+/**
+ * Map a language tag onto a supported locale
+ * @param {string} tag - BCP 47 language tag, e.g. "zh-Hant-TW" or "en-US"
+ * @returns {?string} Supported locale, or null
+ */
+function matchLocale(tag) {
+  if (!tag) {
+    return null;
+  }
+  const lower = tag.toLowerCase();
+  const exact = SUPPORTED_LOCALES.find((locale) => locale.toLowerCase() === lower);
+  if (exact) {
+    return exact;
+  }
+
+  // Any Chinese variant gets the only Chinese table we have
+  const language = lower.split("-")[0];
+  return SUPPORTED_LOCALES.find((locale) => locale.toLowerCase().split("-")[0] === language) || null;
+}
+
+/**
+ * Work out the locale to start with
+ * @returns {string} Supported locale
+ */
+function detectLocale() {
+  const requested = matchLocale(readLaunchParams(window.location.href).get("lang"));
+  if (requested) {
+    return requested;
+  }
+
+  try {
+    const stored = matchLocale(localStorage.getItem(LOCALE_STORAGE_KEY));
+    if (stored) {
+      return stored;
+    }
+  } catch (error) {
+    // Storage blocked, fall through to the browser languages
+  }
+
+  const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+  for (let i = 0; i < languages.length; i++) {
+    const match = matchLocale(languages[i]);
+    if (match) {
+      return match;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+//-----------------------------------------------------------------------------
+// Loading and Switching
+//-----------------------------------------------------------------------------
+
+/**
+ * Load the detected locale; localeReady resolves once it is in place
+ */
+function setupI18n() {
+  localeReady = loadLocale(detectLocale());
+}
+
+/**
+ * Fetch a string table and make it current. Only the latest request is
+ * applied, so rapid switches cannot be overtaken by a slow response.
+ * @param {string} locale - Supported locale
+ * @returns {Promise<boolean>} Resolves once the strings are in place, with
+ *   false if a later request superseded this one
+ */
+function loadLocale(locale) {
+  const request = ++localeRequest;
+
+  return fetchLocaleStrings(locale)
+    .catch((error) => {
+      if (locale === DEFAULT_LOCALE) {
+        throw error;
+      }
+      console.warn("Could not load locale " + locale + ", using " + DEFAULT_LOCALE + ":", error);
+      locale = DEFAULT_LOCALE;
+      return fetchLocaleStrings(locale);
+    })
+    .catch((error) => {
+      console.warn("Could not load locale " + locale + ", using built-in strings:", error);
+      return {};
+    })
+    .then((table) => {
+      if (request !== localeRequest) {
+        return false;
+      }
+      currentLocale = locale;
+      localeStrings = table;
+      document.documentElement.lang = locale;
+      translatePage();
+      return true;
+    });
+}
+
+/**
+ * @param {string} locale - Supported locale
+ * @returns {Promise<Object>} String table
+ */
+function fetchLocaleStrings(locale) {
+  return fetch(LOCALES_URL + locale + ".json")
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error("HTTP " + response.status);
+      }
+      return response.json();
+    });
+}
+
+/**
+ * Switch the locale at runtime and tell the game
+ * @param {string} locale - Language tag
+ * @returns {Promise} Resolves once the page is translated
+ */
+function setLocale(locale) {
+  const match = matchLocale(locale);
+  if (!match) {
+    console.warn("Unsupported locale:", locale);
+    return Promise.resolve();
+  }
+
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, match);
+  } catch (error) {
+    // The choice holds for this visit only
+  }
+
+  return loadLocale(match).then((applied) => {
+    if (applied) {
+      sendHostMessage("SetLanguage", currentLocale);
+    }
+  });
+}
+
+/**
+ * Unity command-line arguments carrying the locale
+ * @returns {string[]} Arguments for config.arguments
+ */
+function getLocaleArguments() {
+  return ["-locale", currentLocale];
+}
+
+//-----------------------------------------------------------------------------
+// Translation
+//-----------------------------------------------------------------------------
+
+/**
+ * Look up a string
+ * @param {string} key - String key, e.g. "loading.retry"
+ * @param {Object} [params] - Values for {placeholders}
+ * @returns {string|string[]} Translated string (or list), the key if missing
+ */
+function t(key, params) {
+  const value = key in localeStrings ? localeStrings[key] : FALLBACK_STRINGS[key];
+  if (value === undefined) {
+    return key;
+  }
+  if (typeof value !== "string" || !params) {
+    return value;
+  }
+  return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Translate an element marked with data-i18n / data-i18n-aria-label
+ * @param {Element} element - Element to translate
+ */
+function translateElement(element) {
+  const key = element.getAttribute("data-i18n");
+  if (key) {
+    element.textContent = t(key);
+  }
+  const labelKey = element.getAttribute("data-i18n-aria-label");
+  if (labelKey) {
+    element.setAttribute("aria-label", t(labelKey));
+  }
+}
+
+/**
+ * Set an element's translation key and translate it
+ * @param {Element} element - Element to translate
+ * @param {string} key - String key
+ */
+function setTranslatedText(element, key) {
+  element.setAttribute("data-i18n", key);
+  translateElement(element);
+}
+
+/**
+ * Translate every marked element on the page
+ */
+function translatePage() {
+  document.querySelectorAll("[data-i18n], [data-i18n-aria-label]").forEach(translateElement);
+}
+
+window.SoundimalsHost.setLocale = setLocale;
+window.SoundimalsHost.getLocale = () => currentLocale;
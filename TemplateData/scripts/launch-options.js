@@ -0,0 +1,228 @@
+/**
+ * Unity WebGL Template - PWA
+ * Launch options and deep links
+ *
+ * Reads what the game should open with from the query string, the hash,
+ * a link shared to the installed app (share_target in the manifest) and
+ * PWA launches (launchQueue). A teacher can share
+ *
+ *   https://game.example/soundimals/?level=farm-animals&classroom=AB12CD
+ *
+ * and the game opens straight into that sound set. Every option is checked
+ * against LAUNCH_OPTION_SCHEMA; the valid ones are passed to Unity as
+ * command-line arguments ("-level farm-animals") and, once the game is
+ * running, as JSON through the host object's SetLaunchOptions method
+ * (again after a later hash change or PWA launch). Invalid ones raise a
+ * notice naming them instead of being dropped silently. Where to go (level,
+ * animal) is used once: a restart after context loss does not send the
+ * player back to the linked level.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+const CONTENT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+// Recognised options: how to validate them, the Unity argument they become
+// and whether they are dropped once the game has received them
+const LAUNCH_OPTION_SCHEMA = {
+  level: { argument: "-level", oneShot: true, parse: (value) => parseLaunchPattern(value.toLowerCase(), CONTENT_ID_PATTERN) },
+  animal: { argument: "-animal", oneShot: true, parse: (value) => parseLaunchPattern(value.toLowerCase(), CONTENT_ID_PATTERN) },
+  classroom: { argument: "-classroom", parse: (value) => parseLaunchPattern(value.toUpperCase(), /^[A-Z0-9]{4,12}$/) },
+  // Not a Unity argument: the page picks it up (detectLocale, setLocale)
+  // and hands it to the game itself
+  lang: { argument: null, parse: (value) => matchLocale(value) },
+  debug: { argument: "-debug", parse: parseLaunchFlag },
+  environment: { argument: "-environment", parse: (value) => parseLaunchPattern(value.toLowerCase(), /^[a-z0-9][a-z0-9-]{0,29}$/) }
+};
+
+let launchOptions = {};
+
+//-----------------------------------------------------------------------------
+// Parsing
+//-----------------------------------------------------------------------------
+
+/**
+ * @param {string} value - Raw value
+ * @param {RegExp} pattern - Allowed form
+ * @returns {?string} The value, or null if it does not match
+ */
+function parseLaunchPattern(value, pattern) {
+  return pattern.test(value) ? value : null;
+}
+
+/**
+ * @param {string} value - Raw value
+ * @returns {?boolean} true/false for 1/0, true/false, yes/no or empty; null otherwise
+ */
+function parseLaunchFlag(value) {
+  const lower = value.toLowerCase();
+  if (lower === "" || lower === "1" || lower === "true" || lower === "yes") {
+    return true;
+  }
+  if (lower === "0" || lower === "false" || lower === "no") {
+    return false;
+  }
+  return null;
+}
+
+/**
+ * Collect the raw option values of a URL, hash overriding query
+ * @param {string} href - URL to read
+ * @returns {URLSearchParams} Merged parameters
+ */
+function readLaunchParams(href) {
+  const url = new URL(href, window.location.href);
+  const params = new URLSearchParams(url.search);
+  new URLSearchParams(url.hash.replace(/^#/, "")).forEach((value, name) => params.set(name, value));
+
+  // A link shared to the installed app arrives as ?url= or inside ?text=
+  const shared = findSharedLink(params);
+  if (shared) {
+    readLaunchParams(shared).forEach((value, name) => params.set(name, value));
+  }
+  return params;
+}
+
+/**
+ * Find a link to this game among share target parameters
+ * @param {URLSearchParams} params - Page parameters
+ * @returns {?string} Same-origin URL, or null
+ */
+function findSharedLink(params) {
+  const candidates = [params.get("url")];
+  const text = params.get("text");
+  if (text) {
+    candidates.push((text.match(/https?:\/\/\S+/) || [])[0]);
+  }
+
+  return candidates.find((candidate) => {
+    if (!candidate) {
+      return false;
+    }
+    try {
+      const url = new URL(candidate);
+      return url.origin === window.location.origin && !url.searchParams.has("url");
+    } catch (error) {
+      return false;
+    }
+  }) || null;
+}
+
+/**
+ * Validate raw parameters against the schema
+ * @param {URLSearchParams} params - Raw parameters
+ * @returns {{options: Object, invalid: string[]}} Valid options and the
+ *   names of those that failed; unknown parameters belong to other modules
+ */
+function parseLaunchOptions(params) {
+  const options = {};
+  const invalid = [];
+
+  Object.keys(LAUNCH_OPTION_SCHEMA).forEach((name) => {
+    if (!params.has(name)) {
+      return;
+    }
+    const value = LAUNCH_OPTION_SCHEMA[name].parse(params.get(name).trim());
+    if (value === null) {
+      invalid.push(name);
+    } else {
+      options[name] = value;
+    }
+  });
+
+  return { options: options, invalid: invalid };
+}
+
+//-----------------------------------------------------------------------------
+// Page Wiring
+//-----------------------------------------------------------------------------
+
+/**
+ * Read the options this page was opened with and watch for later launches
+ */
+function setupLaunchOptions() {
+  const initialUrl = window.location.href;
+  applyLaunchParams(readLaunchParams(initialUrl));
+
+  window.addEventListener("hashchange", () => updateLaunchOptions(window.location.href));
+
+  // The installed app was launched again (focus-existing keeps this page
+  // running), possibly from a shared link. The consumer also sees the launch
+  // that opened this page, which setup has already handled.
+  if ("launchQueue" in window) {
+    window.launchQueue.setConsumer((launchParams) => {
+      if (launchParams.targetURL && launchParams.targetURL !== initialUrl) {
+        updateLaunchOptions(launchParams.targetURL);
+      }
+    });
+  }
+}
+
+/**
+ * Apply the options of a later launch to the running page and game
+ * @param {string} href - URL of the launch
+ */
+function updateLaunchOptions(href) {
+  applyLaunchParams(readLaunchParams(href));
+  if (launchOptions.lang && launchOptions.lang !== currentLocale) {
+    setLocale(launchOptions.lang);
+  }
+  sendLaunchOptions();
+}
+
+/**
+ * Validate parameters, keep the valid options and report the rest
+ * @param {URLSearchParams} params - Raw parameters
+ */
+function applyLaunchParams(params) {
+  const result = parseLaunchOptions(params);
+  launchOptions = result.options;
+
+  if (result.invalid.length) {
+    console.warn("Invalid launch options:", result.invalid.map((name) => name + "=" + params.get(name)).join(", "));
+    // The notice needs the string table, which may still be loading
+    localeReady.then(() => {
+      showNotification(t("launch.invalid", { names: result.invalid.join(", ") }), "warning");
+    });
+  }
+}
+
+/**
+ * Unity command-line arguments for the launch options
+ * @returns {string[]} Arguments for config.arguments
+ */
+function getLaunchArguments() {
+  const args = [];
+  Object.keys(launchOptions).forEach((name) => {
+    const argument = LAUNCH_OPTION_SCHEMA[name].argument;
+    const value = launchOptions[name];
+    if (!argument || value === false) {
+      return;
+    }
+    // Flags are bare arguments, everything else takes a value
+    args.push(argument);
+    if (value !== true) {
+      args.push(String(value));
+    }
+  });
+  return args;
+}
+
+/**
+ * Hand the launch options to the running game
+ */
+function sendLaunchOptions() {
+  sendHostMessage("SetLaunchOptions", JSON.stringify(launchOptions));
+
+  // Before the game runs the message is only queued and the arguments are
+  // still to be built, so keep everything until then
+  if (unityInstance) {
+    Object.keys(launchOptions).forEach((name) => {
+      if (LAUNCH_OPTION_SCHEMA[name].oneShot) {
+        delete launchOptions[name];
+      }
+    });
+  }
+}
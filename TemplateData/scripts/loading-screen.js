@@ -0,0 +1,256 @@
+/**
+ * Unity WebGL Template - PWA
+ * Loading screen with staged progress, size/ETA reporting and retry
+ *
+ * Unity reports a single 0..1 progress value: downloads fill 0..0.9, the
+ * rest covers decompression and WebAssembly compilation, and the promise
+ * resolves once the engine has started. The loading screen turns that into
+ * three stages, shows bytes and an ETA when the build sizes are known, and
+ * rotates tips while the player waits. Failures end in an in-page error
+ * panel whose Retry button runs the loader again without a page reload.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+// Unity reaches this progress value once every file is downloaded
+const DOWNLOAD_PROGRESS_END = 0.9;
+const TIP_INTERVAL = 4000;
+
+// DOM element references
+let loadingBar;
+let progressBarFull;
+let loadingStageText;
+let loadingDetailText;
+let loadingTipText;
+let errorPanel;
+
+let loadingStage = null;
+let loadingStartTime = 0;
+let loadingTotalBytes = 0;
+let loadingTipTimer = null;
+let loadingTipIndex = 0;
+
+//-----------------------------------------------------------------------------
+// Setup
+//-----------------------------------------------------------------------------
+
+/**
+ * Find the loading screen elements
+ */
+function setupLoadingScreen() {
+  loadingBar = document.querySelector("#unity-loading-bar");
+  progressBarFull = document.querySelector("#unity-progress-bar-full");
+  loadingStageText = document.querySelector("#unity-loading-stage");
+  loadingDetailText = document.querySelector("#unity-loading-detail");
+  loadingTipText = document.querySelector("#unity-loading-tip");
+  errorPanel = document.querySelector("#unity-error-panel");
+}
+
+/**
+ * Show the loading screen for a new load attempt
+ * @param {Object} buildConfig - Resolved build configuration, used to look up file sizes
+ */
+function showLoadingScreen(buildConfig) {
+  loadingStage = null;
+  loadingStartTime = performance.now();
+  loadingTotalBytes = 0;
+
+  if (errorPanel) {
+    errorPanel.style.display = "none";
+  }
+  if (loadingBar) {
+    loadingBar.style.display = "block";
+    loadingBar.style.visibility = "visible";
+  }
+
+  setLoadingStage("download");
+  updateLoadingProgress(0);
+  startLoadingTips();
+
+  fetchBuildSize(buildConfig).then((bytes) => {
+    loadingTotalBytes = bytes;
+  });
+}
+
+/**
+ * Hide the loading screen once the game is running
+ */
+function hideLoadingScreen() {
+  stopLoadingTips();
+  if (loadingBar) {
+    loadingBar.style.display = "none";
+  }
+}
+
+//-----------------------------------------------------------------------------
+// Progress
+//-----------------------------------------------------------------------------
+
+/**
+ * Progress callback for createUnityInstance
+ * @param {number} progress - Unity progress between 0 and 1
+ */
+function updateLoadingProgress(progress) {
+  if (progressBarFull) {
+    progressBarFull.style.width = 100 * progress + "%";
+  }
+
+  if (progress >= 1) {
+    setLoadingStage("start");
+  } else if (progress >= DOWNLOAD_PROGRESS_END) {
+    setLoadingStage("compile");
+  }
+
+  if (!loadingDetailText) {
+    return;
+  }
+
+  if (loadingStage !== "download") {
+    loadingDetailText.textContent = Math.round(100 * progress) + "%";
+    return;
+  }
+
+  const downloaded = Math.min(1, progress / DOWNLOAD_PROGRESS_END);
+  const parts = [Math.round(100 * downloaded) + "%"];
+
+  if (loadingTotalBytes) {
+    parts.push(formatBytes(downloaded * loadingTotalBytes) + " / " + formatBytes(loadingTotalBytes));
+  }
+
+  const eta = estimateRemainingSeconds(downloaded, performance.now() - loadingStartTime);
+  if (eta !== null) {
+    parts.push(t("loading.eta", { seconds: eta }));
+  }
+
+  loadingDetailText.textContent = parts.join(" · ");
+}
+
+/**
+ * Switch the stage label; stages only move forward
+ * @param {string} stage - "download", "compile" or "start"
+ */
+function setLoadingStage(stage) {
+  if (stage === loadingStage) {
+    return;
+  }
+  loadingStage = stage;
+
+  if (loadingStageText) {
+    setTranslatedText(loadingStageText, "loading." + stage);
+  }
+  announceStatus(t("loading." + stage));
+  if (loadingBar) {
+    loadingBar.setAttribute("data-stage", stage);
+  }
+
+  if (stage === "compile") {
+    track("download_complete", {
+      seconds: Math.round((performance.now() - loadingStartTime) / 1000),
+      bytes: loadingTotalBytes || undefined
+    });
+  }
+}
+
+/**
+ * Estimate the remaining download time from the rate so far
+ * @param {number} fraction - Downloaded fraction between 0 and 1
+ * @param {number} elapsed - Milliseconds since the download started
+ * @returns {?number} Whole seconds left, or null while too early to tell
+ */
+function estimateRemainingSeconds(fraction, elapsed) {
+  if (fraction < 0.05 || fraction >= 1 || elapsed < 1000) {
+    return null;
+  }
+  return Math.ceil((elapsed * (1 - fraction) / fraction) / 1000);
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} Human readable size
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) {
+    return Math.round(bytes / 1024) + " KB";
+  }
+  return (bytes / (1024 * 1024)).toFixed(1) + " MB";
+}
+
+/**
+ * Add up the transfer size of the build files from HEAD requests
+ * @param {Object} buildConfig - Resolved build configuration
+ * @returns {Promise<number>} Total bytes, 0 if any size is unknown
+ */
+function fetchBuildSize(buildConfig) {
+  const urls = [buildConfig.dataUrl, buildConfig.frameworkUrl, buildConfig.codeUrl];
+
+  return Promise.all(urls.map((url) => fetch(url, { method: "HEAD" })
+    .then((response) => parseInt(response.headers.get("Content-Length"), 10) || 0)))
+    .then((sizes) => sizes.indexOf(0) === -1 ? sizes.reduce((sum, size) => sum + size, 0) : 0)
+    .catch(() => 0);
+}
+
+//-----------------------------------------------------------------------------
+// Tips
+//-----------------------------------------------------------------------------
+
+/**
+ * Start rotating loading tips
+ */
+function startLoadingTips() {
+  stopLoadingTips();
+  if (!loadingTipText) {
+    return;
+  }
+
+  const showTip = () => {
+    const tips = t("loading.tips");
+    if (Array.isArray(tips)) {
+      loadingTipText.textContent = tips[loadingTipIndex % tips.length];
+    }
+    loadingTipIndex++;
+  };
+
+  showTip();
+  loadingTipTimer = setInterval(showTip, TIP_INTERVAL);
+}
+
+/**
+ * Stop rotating loading tips
+ */
+function stopLoadingTips() {
+  clearInterval(loadingTipTimer);
+  loadingTipTimer = null;
+}
+
+//-----------------------------------------------------------------------------
+// Error Panel
+//-----------------------------------------------------------------------------
+
+/**
+ * Replace the loading screen with an error panel
+ * @param {string} message - Error reported by the loader
+ * @param {function()} onRetry - Called when the player presses Retry
+ */
+function showLoadingError(message, onRetry) {
+  hideLoadingScreen();
+  if (!errorPanel) {
+    return;
+  }
+
+  errorPanel.querySelector(".unity-error-message").textContent = String(message);
+
+  const retryButton = errorPanel.querySelector(".unity-error-retry");
+  retryButton.onclick = () => {
+    errorPanel.style.display = "none";
+    // Warnings from the failed attempt no longer apply
+    clearNotifications();
+    onRetry();
+  };
+
+  // The panel is role="alert", so showing it is the announcement
+  errorPanel.style.display = "flex";
+  retryButton.focus();
+}
@@ -0,0 +1,180 @@
+/**
+ * Unity WebGL Template - PWA
+ * Notification system
+ *
+ * Replaces the raw innerHTML banners with safely rendered notifications in
+ * four levels (info, warning, success, error). Repeats of a visible message
+ * are folded into a counter instead of stacking, at most a few notifications
+ * are shown at once with the rest waiting in a bounded queue, and every
+ * notification can be dismissed. The #unity-warning element is an always
+ * present aria-live region so screen readers announce new messages.
+ * Colours come from the --notification-* custom properties in style.css.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+const NOTIFICATION_LEVELS = ["info", "warning", "error", "success"];
+
+// Auto-dismiss delays in ms; errors stay until dismissed
+const NOTIFICATION_TIMEOUTS = {
+  info: 5000,
+  warning: 5000,
+  success: 3000,
+  error: 0
+};
+
+const MAX_VISIBLE_NOTIFICATIONS = 3;
+const MAX_QUEUED_NOTIFICATIONS = 10;
+
+let notificationArea = null;
+
+// Notifications on screen, and those waiting for a free slot
+const visibleNotifications = [];
+let queuedNotifications = [];
+
+//-----------------------------------------------------------------------------
+// Public API
+//-----------------------------------------------------------------------------
+
+/**
+ * Find the notification area
+ */
+function setupNotifications() {
+  notificationArea = document.querySelector("#unity-warning");
+}
+
+/**
+ * Show a notification
+ * @param {string} message - Plain text, never interpreted as HTML
+ * @param {string} [level] - "info", "warning", "error" or "success"
+ * @param {Object} [options] - {timeout} in ms, 0 keeps it until dismissed
+ */
+function showNotification(message, level, options) {
+  if (NOTIFICATION_LEVELS.indexOf(level) === -1) {
+    level = "info";
+  }
+  const text = String(message);
+  const timeout = options && options.timeout !== undefined ? options.timeout : NOTIFICATION_TIMEOUTS[level];
+
+  // Unity repeats the same warning every frame; count repeats instead
+  const duplicate = visibleNotifications.concat(queuedNotifications)
+    .find((entry) => entry.level === level && entry.text === text);
+  if (duplicate) {
+    duplicate.count++;
+    if (duplicate.element) {
+      renderNotificationCount(duplicate);
+      startNotificationTimer(duplicate);
+    }
+    return;
+  }
+
+  const entry = { text: text, level: level, timeout: timeout, count: 1, element: null, timer: null };
+
+  if (visibleNotifications.length < MAX_VISIBLE_NOTIFICATIONS) {
+    displayNotification(entry);
+  } else {
+    queuedNotifications.push(entry);
+    // Drop the oldest non-error entry when the queue is full
+    if (queuedNotifications.length > MAX_QUEUED_NOTIFICATIONS) {
+      const index = queuedNotifications.findIndex((queued) => queued.level !== "error");
+      queuedNotifications.splice(index === -1 ? 0 : index, 1);
+    }
+  }
+}
+
+/**
+ * Remove every notification, shown or queued
+ */
+function clearNotifications() {
+  queuedNotifications = [];
+  visibleNotifications.slice().forEach(dismissNotification);
+}
+
+//-----------------------------------------------------------------------------
+// Rendering
+//-----------------------------------------------------------------------------
+
+/**
+ * Put a notification on screen
+ * @param {Object} entry - Notification entry
+ */
+function displayNotification(entry) {
+  if (!notificationArea) {
+    return;
+  }
+
+  const element = document.createElement("div");
+  element.className = "unity-notification unity-notification-" + entry.level;
+  // Errors interrupt the screen reader, the polite live region handles the rest
+  if (entry.level === "error") {
+    element.setAttribute("role", "alert");
+  }
+
+  const text = document.createElement("span");
+  text.className = "unity-notification-text";
+  text.textContent = entry.text;
+  element.appendChild(text);
+
+  const count = document.createElement("span");
+  count.className = "unity-notification-count";
+  count.setAttribute("aria-hidden", "true");
+  element.appendChild(count);
+
+  const dismissButton = document.createElement("button");
+  dismissButton.type = "button";
+  dismissButton.className = "unity-notification-dismiss";
+  dismissButton.setAttribute("data-i18n-aria-label", "notification.dismiss");
+  translateElement(dismissButton);
+  dismissButton.textContent = "×";
+  dismissButton.addEventListener("click", () => dismissNotification(entry));
+  element.appendChild(dismissButton);
+
+  entry.element = element;
+  visibleNotifications.push(entry);
+  notificationArea.appendChild(element);
+
+  renderNotificationCount(entry);
+  startNotificationTimer(entry);
+}
+
+/**
+ * Show the repeat counter once a message has been folded
+ * @param {Object} entry - Notification entry
+ */
+function renderNotificationCount(entry) {
+  const count = entry.element.querySelector(".unity-notification-count");
+  count.textContent = entry.count > 1 ? "×" + entry.count : "";
+}
+
+/**
+ * (Re)start the auto-dismiss timer
+ * @param {Object} entry - Notification entry
+ */
+function startNotificationTimer(entry) {
+  clearTimeout(entry.timer);
+  if (entry.timeout > 0) {
+    entry.timer = setTimeout(() => dismissNotification(entry), entry.timeout);
+  }
+}
+
+/**
+ * Remove a notification and show the next queued one
+ * @param {Object} entry - Notification entry
+ */
+function dismissNotification(entry) {
+  const index = visibleNotifications.indexOf(entry);
+  if (index === -1) {
+    return;
+  }
+
+  clearTimeout(entry.timer);
+  visibleNotifications.splice(index, 1);
+  entry.element.remove();
+  entry.element = null;
+
+  if (queuedNotifications.length) {
+    displayNotification(queuedNotifications.shift());
+  }
+}
@@ -0,0 +1,85 @@
+/**
+ * Unity WebGL Template - PWA
+ * Orientation detection, rotate-device overlay and Screen Orientation lock
+ *
+ * When a phone is held in the wrong orientation for the game, a localized
+ * overlay covers #unity-container and the game is paused through the Unity
+ * host object. In fullscreen, browsers that support it lock the screen to
+ * the game's orientation so the overlay is rarely needed at all.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+let rotateOverlay = null;
+let rotateOverlayVisible = false;
+
+//-----------------------------------------------------------------------------
+// Rotate Overlay
+//-----------------------------------------------------------------------------
+
+/**
+ * Setup the rotate overlay and the fullscreen orientation lock
+ */
+function setupOrientationHandling() {
+  rotateOverlay = document.querySelector("#unity-rotate-overlay");
+
+  document.addEventListener("fullscreenchange", lockScreenOrientation);
+  document.addEventListener("webkitfullscreenchange", lockScreenOrientation);
+}
+
+/**
+ * Show or hide the rotate overlay for a new canvas layout
+ * @param {Object} layout - Result of computeCanvasLayout()
+ */
+function updateRotateOverlay(layout) {
+  if (!rotateOverlay) {
+    return;
+  }
+
+  // Only phones and tablets can be turned; auto-rotate games fit either way,
+  // and an embedded game lives with whatever frame the host page gave it
+  const shouldShow = canvas.isMobileDevice && !embedMode && displayOptions.orientation !== "auto" && !layout.orientationMatches;
+
+  if (shouldShow) {
+    setTranslatedText(rotateOverlay.querySelector(".unity-rotate-message"), "rotate." + layout.orientation);
+    rotateOverlay.classList.toggle("unity-rotate-landscape", layout.orientation === "landscape");
+  }
+
+  if (shouldShow !== rotateOverlayVisible) {
+    rotateOverlayVisible = shouldShow;
+    rotateOverlay.style.display = shouldShow ? "flex" : "none";
+    rotateOverlay.setAttribute("aria-hidden", shouldShow ? "false" : "true");
+
+    // Pause the game while the overlay is up; the bridge queues this if the
+    // game is still loading, so it starts paused behind the overlay
+    if (shouldShow) {
+      pauseUnityGame("orientation");
+    } else {
+      resumeUnityGame("orientation");
+    }
+  }
+}
+
+//-----------------------------------------------------------------------------
+// Screen Orientation Lock
+//-----------------------------------------------------------------------------
+
+/**
+ * Lock the screen to the game's orientation after entering fullscreen.
+ * Browsers only allow the lock in fullscreen, and many not at all.
+ */
+function lockScreenOrientation() {
+  const fullscreenElement = document.fullscreenElement || document.webkitFullscreenElement;
+  if (!fullscreenElement || displayOptions.orientation === "auto") {
+    return;
+  }
+  if (!window.screen.orientation || typeof window.screen.orientation.lock !== "function") {
+    return;
+  }
+
+  window.screen.orientation.lock(displayOptions.orientation).catch((error) => {
+    console.warn("Screen orientation lock unavailable:", error);
+  });
+}
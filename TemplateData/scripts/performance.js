@@ -0,0 +1,246 @@
+/**
+ * Unity WebGL Template - PWA
+ * Adaptive performance governor
+ *
+ * Renders at a quality tier that caps the device pixel ratio (and, for the
+ * fixed-resolution stretch mode, scales the canvas backing store). Frame
+ * times are sampled with requestAnimationFrame once the game is running;
+ * when the frame rate stays below the target for several sample windows the
+ * governor steps down a tier. The new tier is passed to the game's
+ * SetQualityTier method and tracked, but not remembered: one slow session
+ * (a throttled background tab, a hot phone) should not pin the device to a
+ * low tier, so every visit starts again from the device estimate.
+ *
+ *   "performance": { "targetFps": 30, "lowFpsWindows": 3 }
+ *
+ * ?quality=high|medium|low pins a tier and turns the governor off;
+ * ?perfHud=1 shows a frame rate and memory overlay for debugging.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+// Highest quality first; the governor only ever moves down this list
+const QUALITY_TIERS = [
+  { name: "high", maxPixelRatio: 3, renderScale: 1 },
+  { name: "medium", maxPixelRatio: 1.5, renderScale: 0.75 },
+  { name: "low", maxPixelRatio: 1, renderScale: 0.5 }
+];
+
+const PERFORMANCE_DEFAULTS = {
+  targetFps: 30,
+  sampleWindow: 1000,
+  lowFpsWindows: 3
+};
+
+// Gaps longer than this are a hidden tab or a paused page, not slow frames
+const MAX_FRAME_GAP = 500;
+
+let performanceOptions = Object.assign({}, PERFORMANCE_DEFAULTS);
+let qualityTierIndex = 0;
+let qualityTierPinned = false;
+let frameSampler = null;
+let performanceHud = null;
+
+//-----------------------------------------------------------------------------
+// Quality Tiers
+//-----------------------------------------------------------------------------
+
+/**
+ * Pick the starting tier: ?quality=, then a guess from memory and core count
+ * @param {Object} buildConfig - Resolved build configuration
+ */
+function configurePerformance(buildConfig) {
+  performanceOptions = Object.assign({}, PERFORMANCE_DEFAULTS, buildConfig.performance);
+
+  const requested = findQualityTier(new URLSearchParams(window.location.search).get("quality"));
+  if (requested !== -1) {
+    qualityTierIndex = requested;
+    qualityTierPinned = true;
+    return;
+  }
+
+  qualityTierIndex = estimateQualityTier(navigator);
+}
+
+/**
+ * @param {?string} name - Tier name
+ * @returns {number} Index into QUALITY_TIERS, or -1
+ */
+function findQualityTier(name) {
+  return QUALITY_TIERS.findIndex((tier) => tier.name === name);
+}
+
+/**
+ * Guess a starting tier from what the browser tells us about the device
+ * @param {Navigator} nav - Navigator to read (a fake one in tests)
+ * @returns {number} Index into QUALITY_TIERS
+ */
+function estimateQualityTier(nav) {
+  if ((nav.deviceMemory && nav.deviceMemory <= 2) || (nav.hardwareConcurrency && nav.hardwareConcurrency <= 4)) {
+    return findQualityTier("medium");
+  }
+  return 0;
+}
+
+/**
+ * @returns {Object} Current tier from QUALITY_TIERS
+ */
+function getQualityTier() {
+  return QUALITY_TIERS[qualityTierIndex];
+}
+
+/**
+ * Pixel ratio Unity should render at in the current tier
+ * @returns {number} Value for config.devicePixelRatio
+ */
+function getQualityPixelRatio() {
+  return Math.min(window.devicePixelRatio || 1, getQualityTier().maxPixelRatio);
+}
+
+/**
+ * Backing store scale for the fixed design resolution (stretch fit mode)
+ * @returns {number} Factor applied to the design resolution
+ */
+function getQualityRenderScale() {
+  return getQualityTier().renderScale;
+}
+
+/**
+ * Move to another tier and apply it to the running game
+ * @param {number} index - Index into QUALITY_TIERS
+ * @param {string} reason - What triggered the change, passed on to analytics
+ */
+function setQualityTier(index, reason) {
+  qualityTierIndex = Math.max(0, Math.min(QUALITY_TIERS.length - 1, index));
+
+  if (unityInstance && unityInstance.Module) {
+    unityInstance.Module.devicePixelRatio = getQualityPixelRatio();
+  }
+  // Re-applies the backing store size in stretch mode
+  refreshCanvasSize();
+  reportQualityTier(reason);
+}
+
+/**
+ * Tell the game and analytics about the current tier
+ * @param {string} reason - What triggered the report
+ */
+function reportQualityTier(reason) {
+  const tier = getQualityTier();
+  sendHostMessage("SetQualityTier", tier.name);
+  track("quality_tier", {
+    tier: tier.name,
+    pixel_ratio: getQualityPixelRatio(),
+    reason: reason,
+    fps: frameSampler ? Math.round(frameSampler.fps) : null
+  });
+}
+
+//-----------------------------------------------------------------------------
+// Frame Sampling
+//-----------------------------------------------------------------------------
+
+/**
+ * Start sampling frame times; called once the Unity instance is running
+ */
+function startPerformanceGovernor() {
+  reportQualityTier("start");
+
+  if (new URLSearchParams(window.location.search).get("perfHud") === "1") {
+    showPerformanceHud();
+  }
+
+  if (frameSampler) {
+    return;
+  }
+  frameSampler = { last: 0, frames: 0, elapsed: 0, fps: 0, frameTime: 0, lowWindows: 0 };
+  requestAnimationFrame(sampleFrame);
+}
+
+/**
+ * requestAnimationFrame callback collecting one frame time
+ * @param {number} now - Frame timestamp
+ */
+function sampleFrame(now) {
+  const sampler = frameSampler;
+  const delta = sampler.last ? now - sampler.last : 0;
+  sampler.last = now;
+
+  if (delta > 0 && delta < MAX_FRAME_GAP) {
+    sampler.frames++;
+    sampler.elapsed += delta;
+  }
+
+  if (sampler.elapsed >= performanceOptions.sampleWindow) {
+    sampler.fps = sampler.frames * 1000 / sampler.elapsed;
+    sampler.frameTime = sampler.elapsed / sampler.frames;
+    sampler.frames = 0;
+    sampler.elapsed = 0;
+    evaluateFrameRate(sampler);
+    updatePerformanceHud(sampler);
+  }
+
+  requestAnimationFrame(sampleFrame);
+}
+
+/**
+ * Step down a tier after enough slow sample windows in a row
+ * @param {Object} sampler - Frame sampler state
+ */
+function evaluateFrameRate(sampler) {
+  if (qualityTierPinned || qualityTierIndex === QUALITY_TIERS.length - 1) {
+    return;
+  }
+
+  sampler.lowWindows = sampler.fps < performanceOptions.targetFps ? sampler.lowWindows + 1 : 0;
+  if (sampler.lowWindows >= performanceOptions.lowFpsWindows) {
+    sampler.lowWindows = 0;
+    setQualityTier(qualityTierIndex + 1, "low_fps");
+  }
+}
+
+//-----------------------------------------------------------------------------
+// Debug HUD
+//-----------------------------------------------------------------------------
+
+/**
+ * Add the frame rate and memory overlay
+ */
+function showPerformanceHud() {
+  if (performanceHud) {
+    return;
+  }
+  performanceHud = document.createElement("pre");
+  performanceHud.id = "unity-perf-hud";
+  performanceHud.setAttribute("aria-hidden", "true");
+  document.body.appendChild(performanceHud);
+}
+
+/**
+ * Refresh the overlay after a sample window
+ * @param {Object} sampler - Frame sampler state
+ */
+function updatePerformanceHud(sampler) {
+  if (!performanceHud) {
+    return;
+  }
+
+  const lines = [
+    sampler.fps.toFixed(1) + " fps  " + sampler.frameTime.toFixed(1) + " ms",
+    getQualityTier().name + "  dpr " + getQualityPixelRatio().toFixed(2) + " / " + (window.devicePixelRatio || 1).toFixed(2),
+    canvas.width + "×" + canvas.height
+  ];
+
+  // performance.memory is Chrome only
+  if (performance.memory) {
+    lines.push("js " + formatBytes(performance.memory.usedJSHeapSize));
+  }
+  const heap = unityInstance && unityInstance.Module && unityInstance.Module.HEAP8;
+  if (heap) {
+    lines.push("wasm " + formatBytes(heap.buffer.byteLength));
+  }
+
+  performanceHud.textContent = lines.join("\n");
+}
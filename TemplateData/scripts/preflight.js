@@ -0,0 +1,231 @@
+/**
+ * Unity WebGL Template - PWA
+ * Browser capability preflight
+ *
+ * Runs before createUnityInstance so players on a device that cannot run
+ * the build find out before downloading it. Missing WebGL or WebAssembly
+ * stops the load; in-app browsers (WeChat, Facebook, Instagram, LINE) get
+ * "open in Safari/Chrome" guidance with the option to continue anyway;
+ * softer problems such as low memory only raise a warning banner.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+// In-app browsers known to break WebGL builds, matched against the user agent
+const IN_APP_BROWSERS = [
+  { name: "wechat", pattern: /MicroMessenger/i },
+  { name: "facebook", pattern: /FBAN|FBAV|FB_IAB/i },
+  { name: "instagram", pattern: /Instagram/i },
+  { name: "line", pattern: /\bLine\//i }
+];
+
+// navigator.deviceMemory reports GB, rounded down to a power of two
+const LOW_MEMORY_GB = 2;
+
+// Last report, attached to error records (null until runPreflight runs)
+let preflightReport = null;
+
+//-----------------------------------------------------------------------------
+// Capability Checks
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} CapabilityReport
+ * @property {boolean} supported - False if the build cannot run at all
+ * @property {boolean} webgl - WebGL 1 context available
+ * @property {boolean} webgl2 - WebGL 2 context available
+ * @property {boolean} webAssembly - WebAssembly available
+ * @property {boolean} streamingCompile - WebAssembly.instantiateStreaming available
+ * @property {?number} deviceMemory - navigator.deviceMemory in GB, if reported
+ * @property {?number} hardwareConcurrency - Logical CPU cores, if reported
+ * @property {?string} inAppBrowser - Detected in-app browser name
+ * @property {string[]} errors - Message keys for blocking problems
+ * @property {string[]} warnings - Message keys for non-blocking problems
+ * @property {string} userAgent - navigator.userAgent
+ */
+
+/**
+ * Check what this browser can do
+ * @returns {CapabilityReport} Structured capability report
+ */
+function runPreflight() {
+  const report = {
+    supported: true,
+    webgl: hasWebGLContext("webgl") || hasWebGLContext("experimental-webgl"),
+    webgl2: hasWebGLContext("webgl2"),
+    webAssembly: typeof WebAssembly === "object" && typeof WebAssembly.instantiate === "function",
+    streamingCompile: typeof WebAssembly === "object" && typeof WebAssembly.instantiateStreaming === "function",
+    deviceMemory: navigator.deviceMemory || null,
+    hardwareConcurrency: navigator.hardwareConcurrency || null,
+    inAppBrowser: detectInAppBrowser(navigator.userAgent),
+    errors: [],
+    warnings: [],
+    userAgent: navigator.userAgent
+  };
+
+  if (!report.webgl && !report.webgl2) {
+    report.errors.push("noWebGL");
+  }
+  if (!report.webAssembly) {
+    report.errors.push("noWebAssembly");
+  }
+  report.supported = report.errors.length === 0;
+
+  if (report.deviceMemory !== null && report.deviceMemory < LOW_MEMORY_GB) {
+    report.warnings.push("lowMemory");
+  }
+  if (report.webAssembly && !report.streamingCompile) {
+    report.warnings.push("noStreaming");
+  }
+
+  preflightReport = report;
+  return report;
+}
+
+/**
+ * Try to create a WebGL context of the given type on a throwaway canvas
+ * @param {string} type - Context type
+ * @returns {boolean} True if the context could be created
+ */
+function hasWebGLContext(type) {
+  try {
+    const testCanvas = document.createElement("canvas");
+    const gl = testCanvas.getContext(type);
+    const lose = gl && gl.getExtension("WEBGL_lose_context");
+    if (lose) {
+      // Give the context back right away, mobile browsers allow only a few
+      lose.loseContext();
+    }
+    return !!gl;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Detect a known in-app browser
+ * @param {string} userAgent - User agent string
+ * @returns {?string} In-app browser name, or null
+ */
+function detectInAppBrowser(userAgent) {
+  const match = IN_APP_BROWSERS.find((browser) => browser.pattern.test(userAgent));
+  return match ? match.name : null;
+}
+
+//-----------------------------------------------------------------------------
+// Reporting to the Player
+//-----------------------------------------------------------------------------
+
+/**
+ * Act on a capability report before the build is loaded
+ * @param {CapabilityReport} report - Result of runPreflight()
+ * @param {function()} onContinue - Starts the load
+ */
+function handlePreflightReport(report, onContinue) {
+  if (!report.supported) {
+    showUnsupportedBrowser(report, null);
+    return;
+  }
+
+  if (report.inAppBrowser) {
+    showUnsupportedBrowser(report, () => {
+      showPreflightWarnings(report);
+      onContinue();
+    });
+    return;
+  }
+
+  showPreflightWarnings(report);
+  onContinue();
+}
+
+/**
+ * Show non-blocking problems as warning banners
+ * @param {CapabilityReport} report - Result of runPreflight()
+ */
+function showPreflightWarnings(report) {
+  report.warnings.forEach((key) => {
+    unityShowBanner(t("preflight." + key), "warning");
+  });
+}
+
+/**
+ * Show the unsupported-browser page
+ * @param {CapabilityReport} report - Result of runPreflight()
+ * @param {?function()} onContinue - Offered as "continue anyway" when set
+ */
+function showUnsupportedBrowser(report, onContinue) {
+  const page = document.querySelector("#unity-unsupported");
+  if (!page) {
+    return;
+  }
+
+  const title = page.querySelector(".unity-unsupported-title");
+  const message = page.querySelector(".unity-unsupported-message");
+  const guidance = page.querySelector(".unity-unsupported-guidance");
+  const openButton = page.querySelector(".unity-unsupported-open");
+  const copyButton = page.querySelector(".unity-unsupported-copy");
+  const continueButton = page.querySelector(".unity-unsupported-continue");
+
+  if (!report.supported) {
+    setTranslatedText(title, "preflight.unsupportedTitle");
+    // The first blocking problem is the one the player can act on
+    setTranslatedText(message, "preflight." + report.errors[0]);
+    guidance.removeAttribute("data-i18n");
+    guidance.textContent = "";
+  } else {
+    setTranslatedText(title, "preflight.inAppTitle");
+    setTranslatedText(message, "preflight.inApp");
+    setTranslatedText(guidance, canvas.isIOS ? "preflight.openIOS" : "preflight.openAndroid");
+  }
+
+  // Only some in-app browsers can be asked to hand the page to the system browser
+  const externalUrl = report.supported ? getExternalBrowserUrl(report.inAppBrowser) : null;
+  openButton.style.display = externalUrl ? "" : "none";
+  openButton.href = externalUrl || "#";
+
+  setTranslatedText(copyButton, "preflight.copyLink");
+  copyButton.onclick = () => {
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(window.location.href).then(() => {
+        setTranslatedText(copyButton, "preflight.linkCopied");
+      }).catch(() => {});
+    }
+  };
+
+  continueButton.style.display = onContinue ? "" : "none";
+  continueButton.onclick = () => {
+    page.style.display = "none";
+    onContinue();
+  };
+
+  // The loading bar sits above this page and would draw over it; "continue
+  // anyway" brings it back through startUnityGame
+  hideLoadingScreen();
+  page.style.display = "flex";
+}
+
+/**
+ * URL that makes an in-app browser open this page in the system browser
+ * @param {?string} inAppBrowser - Detected in-app browser name
+ * @returns {?string} URL, or null if there is no known way
+ */
+function getExternalBrowserUrl(inAppBrowser) {
+  // LINE honours this parameter on both platforms
+  if (inAppBrowser === "line") {
+    const url = new URL(window.location.href);
+    url.searchParams.set("openExternalBrowser", "1");
+    return url.toString();
+  }
+
+  // Android in-app browsers follow intent URLs to Chrome
+  if (canvas.isAndroid) {
+    const location = window.location;
+    return "intent://" + location.host + location.pathname + location.search +
+      "#Intent;scheme=" + location.protocol.replace(":", "") + ";package=com.android.chrome;end";
+  }
+
+  return null;
+}
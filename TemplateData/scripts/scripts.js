@@ -13,9 +13,15 @@
 // DOM element references
 let container;
 let canvas;
-let loadingBar;
-let progressBarFull;
-let warningBanner;
+
+// Loader script promise, shared by retries
+let unityLoaderPromise = null;
+
+// True while createUnityInstance is in flight
+let unityLoadPending = false;
+
+// Set after the first instance has started; retries and restarts follow
+let unityGameStarted = false;
 
 //-----------------------------------------------------------------------------
 // Initialization Functions
@@ -28,29 +34,81 @@ function InitializeDOM() {
   // Get DOM elements
   container = document.querySelector("#unity-container");
   canvas = document.querySelector("#unity-canvas");
-  loadingBar = document.querySelector("#unity-loading-bar");
-  progressBarFull = document.querySelector("#unity-progress-bar-full");
-  warningBanner = document.querySelector("#unity-warning");
 
-  // Set initial canvas dimensions from Unity template variables
-  canvas.width = 750;
-  canvas.height = 1334;
-
-  // Store original dimensions for reference
-  canvas.originalWidth = 750;
-  canvas.originalHeight = 1334;
+  // Size with the default design resolution until the build descriptor arrives
+  setDisplayOptions(resolveDisplayOptions(null, new URLSearchParams(window.location.search)));
+  canvas.width = displayOptions.designWidth;
+  canvas.height = displayOptions.designHeight;
 
   // Detect device type
   canvas.isMobileDevice = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
   canvas.isIOS = /iPhone|iPad|iPod/i.test(navigator.userAgent);
   canvas.isAndroid = /Android/i.test(navigator.userAgent);
 
+  // Capture errors from here on
+  setupErrorReporting();
+
+  // Inside an iframe the frame, not the device, decides the size
+  setupEmbed();
+
+  // Page strings in the player's language
+  setupI18n();
+
+  // Motion, contrast and colour scheme preferences; screen reader status
+  setupAccessibility();
+
+  // Notification area used by unityShowBanner
+  setupNotifications();
+
+  // Level, classroom and other options from the link that opened the game
+  setupLaunchOptions();
+
+  // Consent banner; analytics tags wait for the player's choice
+  setupAnalyticsConsent();
+  forwardUnityAnalytics();
+
+  // Staged progress, tips and the error panel
+  setupLoadingScreen();
+
+  // Rotate prompt for phones held the wrong way
+  setupOrientationHandling();
+
+  // Fullscreen button, shortcut and Unity-callable API
+  setupFullscreen();
+
+  // Audio unlock on first gesture, mute while hidden
+  setupAudioLifecycle();
+
+  // Tap-to-resume and restart after the WebGL context is lost
+  setupContextRecovery();
+
   // Setup canvas based on device type
-  if (canvas.isMobileDevice) {
+  if (embedMode) {
+    setupEmbeddedCanvas();
+  } else if (canvas.isMobileDevice) {
     setupMobileCanvas();
   } else {
     setupDesktopCanvas();
   }
+
+  // Switch to the build's own design resolution, fit mode and orientation
+  resolveBuildConfig().then((buildConfig) => {
+    setDisplayOptions(resolveDisplayOptions(buildConfig.display, new URLSearchParams(window.location.search)));
+    refreshCanvasSize();
+  });
+}
+
+/**
+ * Re-run the canvas sizing for the current device type
+ */
+function refreshCanvasSize() {
+  if (embedMode) {
+    adjustEmbeddedCanvasSize();
+  } else if (canvas.isMobileDevice) {
+    adjustMobileCanvasSize();
+  } else {
+    adjustDesktopCanvasSize();
+  }
 }
 
 //-----------------------------------------------------------------------------
@@ -70,48 +128,43 @@ function setupDesktopCanvas() {
 
 /**
  * Adjust canvas size for desktop browsers
- * - Maintains aspect ratio
- * - Maximum size: original dimensions
- * - Minimum size: half of original dimensions
+ * - Follows the configured fit mode and orientation policy
+ * - Maximum size: design resolution (unlimited in fullscreen)
+ * - Minimum size: half of design resolution
  */
 function adjustDesktopCanvasSize() {
-  const originalWidth = canvas.originalWidth;
-  const originalHeight = canvas.originalHeight;
-  const aspectRatio = originalWidth / originalHeight;
-
-  // Get available space
-  const windowWidth = window.innerWidth;
-  const windowHeight = window.innerHeight;
+  const viewport = readViewport(window, canvas);
+  const limits = isFullscreen() ? {} : { minScale: 0.5, maxScale: 1 };
+  const layout = computeCanvasLayout(viewport, displayOptions, limits);
 
-  // Calculate dimensions to maintain aspect ratio
-  let canvasWidth, canvasHeight;
+  // Apply CSS dimensions
+  applyCanvasLayout(layout);
+}
 
-  if (windowWidth / windowHeight > aspectRatio) {
-    // Window is wider than needed
-    canvasHeight = Math.min(windowHeight, originalHeight);
-    canvasWidth = canvasHeight * aspectRatio;
-  } else {
-    // Window is taller than needed
-    canvasWidth = Math.min(windowWidth, originalWidth);
-    canvasHeight = canvasWidth / aspectRatio;
-  }
+//-----------------------------------------------------------------------------
+// Embedded Canvas Handling
+//-----------------------------------------------------------------------------
 
-  // Enforce minimum size (half of original)
-  const minWidth = originalWidth / 2;
-  const minHeight = originalHeight / 2;
+/**
+ * Setup canvas sizing inside a host page's iframe
+ */
+function setupEmbeddedCanvas() {
+  window.addEventListener('resize', adjustEmbeddedCanvasSize);
 
-  if (canvasWidth < minWidth) {
-    canvasWidth = minWidth;
-    canvasHeight = minWidth / aspectRatio;
-  }
+  // Initial size adjustment
+  adjustEmbeddedCanvasSize();
+}
 
-  if (canvasHeight < minHeight) {
-    canvasHeight = minHeight;
-    canvasWidth = minHeight * aspectRatio;
-  }
+/**
+ * Adjust canvas size to the iframe
+ * - The frame has no browser UI or keyboard to allow for
+ * - No size limits, the host page chose the frame size
+ */
+function adjustEmbeddedCanvasSize() {
+  const layout = computeCanvasLayout({ width: window.innerWidth, height: window.innerHeight }, displayOptions);
 
   // Apply CSS dimensions
-  applyCanvasDimensions(canvasWidth, canvasHeight);
+  applyCanvasLayout(layout);
 }
 
 //-----------------------------------------------------------------------------
@@ -143,116 +196,25 @@ function setupMobileCanvas() {
       body {
         padding: env(safe-area-inset-top) env(safe-area-inset-right) env(safe-area-inset-bottom) env(safe-area-inset-left);
         margin: 0;
-        background-color: #fff;
+        background-color: var(--page-background, #fff);
       }
       #unity-container {
         position: relative;
         width: 100vw;
         height: 100vh;
-        background-color: #fff;
+        background-color: var(--page-background, #fff);
       }
     `;
     document.head.appendChild(style);
   }
 
-  // Listen for orientation changes
-  window.addEventListener('orientationchange', adjustMobileCanvasSize);
-  window.addEventListener('resize', adjustMobileCanvasSize);
-  
-  // Listen for visual viewport changes (better keyboard detection)
-  if (window.visualViewport) {
-    window.visualViewport.addEventListener('resize', adjustMobileCanvasSize);
-  }
-
-  // iOS specific handling for orientation and safe areas
-  if (canvas.isIOS) {
-    window.addEventListener('orientationchange', function() {
-      // Delay adjustment for iOS orientation change
-      setTimeout(adjustMobileCanvasSize, 500);
-    });
-    
-    // iOS specific keyboard handling
-    setupIOSKeyboardHandling();
-  }
+  // Rotation, browser UI and the virtual keyboard all go through one controller
+  setupViewportController(adjustMobileCanvasSize);
 
   // Initial size adjustment
   adjustMobileCanvasSize();
 }
 
-/**
- * Setup iOS specific keyboard handling to prevent layout shifts
- */
-function setupIOSKeyboardHandling() {
-  let keyboardVisible = false;
-  let originalViewportHeight = window.innerHeight;
-  
-  // Store original container styles
-  const container = document.querySelector('#unity-container');
-  const originalContainerStyles = {
-    position: container.style.position,
-    top: container.style.top,
-    left: container.style.left,
-    transform: container.style.transform,
-    height: container.style.height
-  };
-
-  // Listen for viewport changes (better iOS keyboard detection)
-  if (window.visualViewport) {
-    window.visualViewport.addEventListener('resize', function() {
-      const currentHeight = window.visualViewport.height;
-      const heightDiff = originalViewportHeight - currentHeight;
-      
-      if (heightDiff > 150 && !keyboardVisible) {
-        // Keyboard appeared
-        keyboardVisible = true;
-        lockCanvasPosition();
-      } else if (heightDiff <= 50 && keyboardVisible) {
-        // Keyboard disappeared
-        keyboardVisible = false;
-        unlockCanvasPosition();
-      }
-    });
-  }
-  
-  // Fallback for older iOS versions
-  window.addEventListener('resize', function() {
-    const currentHeight = window.innerHeight;
-    const heightDiff = originalViewportHeight - currentHeight;
-    
-    if (heightDiff > 150 && !keyboardVisible) {
-      keyboardVisible = true;
-      lockCanvasPosition();
-    } else if (heightDiff <= 50 && keyboardVisible) {
-      keyboardVisible = false;
-      unlockCanvasPosition();
-    }
-  });
-
-  function lockCanvasPosition() {
-    // Add CSS class to trigger keyboard-specific styles
-    document.body.classList.add('ios-keyboard-open');
-    
-    // Force re-adjustment with keyboard state
-    adjustMobileCanvasSize();
-    
-    // Prevent scroll on the body
-    document.body.style.overflow = 'hidden';
-    document.documentElement.style.overflow = 'hidden';
-  }
-
-  function unlockCanvasPosition() {
-    // Remove CSS class
-    document.body.classList.remove('ios-keyboard-open');
-    
-    // Restore scroll behavior
-    document.body.style.overflow = '';
-    document.documentElement.style.overflow = '';
-    
-    // Re-adjust canvas size
-    setTimeout(adjustMobileCanvasSize, 100);
-  }
-}
-
 /**
  * Adjust canvas size for mobile devices
  * - Directly matches device orientation (portrait or landscape)
@@ -261,96 +223,39 @@ function setupIOSKeyboardHandling() {
  * - Handles iOS safe areas properly
  */
 function adjustMobileCanvasSize() {
-  // Use visual viewport if available (better for mobile)
-  const visualViewport = window.visualViewport;
-  let windowWidth, windowHeight;
-  
-  if (visualViewport && canvas.isMobileDevice) {
-    // Visual viewport gives us the actual visible area excluding browser UI
-    windowWidth = visualViewport.width;
-    windowHeight = visualViewport.height;
-  } else {
-    // Fallback for desktop or unsupported browsers
-    windowWidth = window.innerWidth;
-    windowHeight = window.innerHeight;
-    
-    // For mobile without visual viewport support, estimate browser UI space
-    if (canvas.isMobileDevice) {
-      // Estimate browser UI takes about 10-15% of screen height
-      windowHeight = windowHeight * 0.85;
-    }
-  }
-
-  // iOS specific adjustments for safe areas
-  if (canvas.isIOS) {
-    // Don't subtract safe areas from the available space to avoid content being cut off
-    // The safe areas will be handled by CSS padding instead
-    
-    // For iOS, use screen dimensions to avoid issues with browser UI
-    if (!canvas.initialScreenHeight) {
-      // Use full screen dimensions without reduction
-      windowWidth = Math.min(windowWidth, window.screen.width);
-      windowHeight = Math.min(windowHeight, window.screen.height);
-    }
-  }
-
-  // Store initial screen dimensions to prevent keyboard resize
-  if (!canvas.initialScreenHeight) {
-    canvas.initialScreenHeight = window.screen.height;
-    canvas.initialScreenWidth = window.screen.width;
-    canvas.initialWindowHeight = windowHeight;
-    canvas.initialWindowWidth = windowWidth;
-  }
+  // Safe areas are handled by CSS padding, not subtracted here
+  const state = updateViewportState();
 
-  // Check if virtual keyboard is likely open (significant height reduction)
-  const heightReduction = canvas.initialWindowHeight - windowHeight;
-  const isKeyboardOpen = heightReduction > 150; // threshold for keyboard detection
-
-  // Handle keyboard differently for iOS and Android
-  if (isKeyboardOpen) {
-    if (canvas.isIOS) {
-      // For iOS, use fixed dimensions but don't scale up
-      windowWidth = canvas.initialWindowWidth;
-      windowHeight = canvas.initialWindowHeight;
-    } else {
-      // For Android, use original dimensions to prevent black bars
-      windowWidth = canvas.initialWindowWidth;
-      windowHeight = canvas.initialWindowHeight;
-    }
-  }
-
-  // Use portrait dimensions (750x1334)
-  canvas.originalWidth = 750;
-  canvas.originalHeight = 1334;
-
-  // Calculate scaling to fit the screen while maintaining aspect ratio
-  const aspectRatio = canvas.originalWidth / canvas.originalHeight;
-  let canvasWidth, canvasHeight;
-
-  // Calculate scale based on screen size compared to base resolution (750x1334)
-  const baseWidth = 750;
-  const baseHeight = 1334;
-  
-  // Calculate scale factors for width and height
-  const scaleX = windowWidth / baseWidth;
-  const scaleY = windowHeight / baseHeight;
-  
-  // Use the smaller scale to ensure the content fits on screen
-  // Remove any artificial limits - let it scale as large as the screen allows
-  const scale = Math.min(scaleX, scaleY);
-  
-  // Apply the scale to get final canvas dimensions
-  canvasWidth = baseWidth * scale;
-  canvasHeight = baseHeight * scale;
+  // Fit the design resolution to the screen, no artificial size limits on mobile
+  const layout = computeCanvasLayout({ width: state.width, height: state.height }, displayOptions);
 
   // Apply CSS dimensions
-  applyCanvasDimensions(canvasWidth, canvasHeight, isKeyboardOpen);
+  applyCanvasLayout(layout, state.keyboardOpen);
 }
 
 //-----------------------------------------------------------------------------
 // Shared Utility Functions
 //-----------------------------------------------------------------------------
 
+/**
+ * Apply a layout from the sizing engine to the canvas
+ * @param {Object} layout - Result of computeCanvasLayout()
+ * @param {boolean} isKeyboardOpen - Whether virtual keyboard is open
+ */
+function applyCanvasLayout(layout, isKeyboardOpen = false) {
+  canvas.layout = layout;
+
+  // Stretch renders at the fixed design resolution; every other mode lets
+  // Unity match the backing store to the CSS size
+  if (!shouldMatchWebGLToCanvasSize(displayOptions)) {
+    canvas.width = Math.round(layout.designWidth * getQualityRenderScale());
+    canvas.height = Math.round(layout.designHeight * getQualityRenderScale());
+  }
+
+  applyCanvasDimensions(layout.width, layout.height, isKeyboardOpen);
+  updateRotateOverlay(layout);
+}
+
 /**
  * Apply dimensions to canvas and center it
  * @param {number} width - Canvas width in pixels
@@ -366,7 +271,7 @@ function applyCanvasDimensions(width, height, isKeyboardOpen = false) {
 
   // Ensure the container fills the screen and removes black borders
   const container = canvas.parentElement;
-  if (container && canvas.isMobileDevice) {
+  if (container && canvas.isMobileDevice && !embedMode) {
     container.style.position = 'fixed';
     container.style.top = '0';
     container.style.left = '0';
@@ -374,7 +279,7 @@ function applyCanvasDimensions(width, height, isKeyboardOpen = false) {
     container.style.height = '100vh';
     container.style.margin = '0';
     container.style.padding = '0';
-    container.style.backgroundColor = '#fff';
+    container.style.backgroundColor = 'var(--page-background, #fff)';
     container.style.overflow = 'hidden';
     
   }
@@ -388,31 +293,13 @@ function applyCanvasDimensions(width, height, isKeyboardOpen = false) {
 }
 
 /**
- * Shows a temporary message banner/ribbon for a few seconds,
- * or a permanent error message on top of the canvas if type=='error'.
- * @param {string} msg - Message to display
- * @param {string} type - Message type ('error' or 'warning')
+ * Unity's showBanner hook, kept for the loader config and older callers.
+ * Shows a temporary warning, or a persistent error if type=='error'.
+ * @param {string} msg - Message to display (plain text)
+ * @param {string} type - Message type ('error', 'warning', 'info' or 'success')
  */
 function unityShowBanner(msg, type) {
-  function updateBannerVisibility() {
-    warningBanner.style.display = warningBanner.children.length ? 'block' : 'none';
-  }
-
-  const div = document.createElement('div');
-  div.innerHTML = msg;
-  warningBanner.appendChild(div);
-
-  if (type == 'error') {
-    div.style = 'background: red; padding: 10px;';
-  } else if (type == 'warning') {
-    div.style = 'background: yellow; padding: 10px;';
-    setTimeout(function () {
-      warningBanner.removeChild(div);
-      updateBannerVisibility();
-    }, 5000);
-  }
-
-  updateBannerVisibility();
+  showNotification(msg, type);
 }
 
 //-----------------------------------------------------------------------------
@@ -423,22 +310,56 @@ function unityShowBanner(msg, type) {
  * Preload critical Unity resources for faster loading
  */
 function preloadUnityResources() {
-  const buildUrl = "Build";
-  const criticalResources = [
-    buildUrl + "/soundimals-demo.loader.js",
-    buildUrl + "/soundimals-demo.framework.js.unityweb",
-  ];
-
-  criticalResources.forEach(url => {
-    const link = document.createElement('link');
-    link.rel = 'preload';
-    link.href = url;
-    link.as = 'script';
-    link.crossOrigin = 'anonymous';
-    document.head.appendChild(link);
+  resolveBuildConfig().then((buildConfig) => {
+    const criticalResources = [
+      buildConfig.loaderUrl,
+      buildConfig.frameworkUrl,
+    ];
+
+    criticalResources.forEach(url => {
+      const link = document.createElement('link');
+      link.rel = 'preload';
+      link.href = url;
+      link.as = 'script';
+      link.crossOrigin = 'anonymous';
+      document.head.appendChild(link);
+    });
   });
 }
 
+//-----------------------------------------------------------------------------
+// Offline Support
+//-----------------------------------------------------------------------------
+
+/**
+ * Register the service worker that keeps an offline copy of the build
+ * @param {Object} buildConfig - Resolved build configuration; its productVersion
+ *   is the offline cache key and its descriptor lists the files to precache
+ */
+function registerServiceWorker(buildConfig) {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+
+  // The worker would precache (and version) the descriptor's build, not the
+  // overridden one this page loads
+  if (buildConfig.overridden) {
+    console.warn('Build overrides active, offline cache not updated');
+    return;
+  }
+
+  const params = new URLSearchParams({
+    v: buildConfig.productVersion,
+    build: buildConfig.descriptorUrl
+  });
+
+  navigator.serviceWorker
+    .register('service-worker.js?' + params.toString())
+    .catch((error) => {
+      console.warn('Service worker registration failed:', error);
+    });
+}
+
 //-----------------------------------------------------------------------------
 // Unity Loading and Initialization
 //-----------------------------------------------------------------------------
@@ -447,64 +368,162 @@ function preloadUnityResources() {
  * Load Unity game with optimized loading strategy
  */
 function loadUnityGame() {
-  const buildUrl = "Build";
-  const loaderUrl = buildUrl + "/soundimals-demo.loader.js";
+  Promise.all([resolveBuildConfig(), localeReady]).then(([buildConfig]) => {
+    configureAnalytics(buildConfig);
+    configureEmbed(buildConfig);
+
+    // Check the device can run the build before downloading it
+    const report = runPreflight();
+    track("preflight", {
+      supported: report.supported,
+      webgl2: report.webgl2,
+      in_app_browser: report.inAppBrowser
+    });
+    handlePreflightReport(report, () => {
+      prepareUnityGame(buildConfig);
+      startUnityGame(buildConfig);
+    });
+  });
+}
 
+/**
+ * One-time page setup for a build that is going to be started
+ * @param {Object} buildConfig - Resolved build configuration
+ */
+function prepareUnityGame(buildConfig) {
+  // Keep an offline copy of this build version
+  registerServiceWorker(buildConfig);
+
+  configureErrorReporting(buildConfig);
+
+  // Saves are checked against the eviction marker before the game starts
+  configureStorage(buildConfig);
+
+  // Cap the render resolution at the device's quality tier
+  configurePerformance(buildConfig);
+  refreshCanvasSize();
+
+  setUnityHostObject(buildConfig.hostObject);
+}
+
+/**
+ * Create the Unity instance for a prepared build; also used by the error
+ * panel's retry and by restarts after context loss
+ * @param {Object} buildConfig - Resolved build configuration
+ */
+function startUnityGame(buildConfig) {
   // Unity build configuration
   const config = {
-    arguments: [],
-    dataUrl: buildUrl + "/soundimals-demo.data.unityweb",
-    frameworkUrl: buildUrl + "/soundimals-demo.framework.js.unityweb",
-    codeUrl: buildUrl + "/soundimals-demo.wasm.unityweb",
-    streamingAssetsUrl: "StreamingAssets",
-    companyName: "chfn",
-    productName: "soundimals",
-    productVersion: "1.0.0",
-    showBanner: unityShowBanner,
-    // Performance optimizations
-    printErr: function(message) {
-      console.warn(message);
-    }
+    // The game starts in the same language as the page, with the options
+    // of the link that opened it
+    arguments: getLocaleArguments().concat(getLaunchArguments()),
+    dataUrl: buildConfig.dataUrl,
+    frameworkUrl: buildConfig.frameworkUrl,
+    codeUrl: buildConfig.codeUrl,
+    streamingAssetsUrl: buildConfig.streamingAssetsUrl,
+    companyName: buildConfig.companyName,
+    productName: buildConfig.productName,
+    productVersion: buildConfig.productVersion,
+    showBanner: function(message, type) {
+      captureUnityBanner(message, type);
+      unityShowBanner(message, type);
+    },
+    // Keep Unity output as context for error records
+    print: captureUnityPrint,
+    printErr: captureUnityPrintErr
   };
 
-// By default Unity keeps WebGL canvas render target size matched with
-// the DOM size of the canvas element (scaled by window.devicePixelRatio)
-// config.matchWebGLToCanvasSize = false;
+  // By default Unity keeps WebGL canvas render target size matched with
+  // the DOM size of the canvas element (scaled by window.devicePixelRatio);
+  // the stretch fit mode keeps the design resolution instead
+  config.matchWebGLToCanvasSize = shouldMatchWebGLToCanvasSize(displayOptions);
 
-// Set background if available
+  // Render at the current quality tier, which may have dropped since the last attempt
+  config.devicePixelRatio = getQualityPixelRatio();
 
-// Show loading bar
-if (loadingBar) {
-  loadingBar.style.display = "block";
-  loadingBar.style.visibility = "visible";
-}
+  // Show loading screen
+  showLoadingScreen(buildConfig);
 
-// Load Unity script
-const script = document.createElement("script");
-script.src = loaderUrl;
-script.onload = () => {
-  createUnityInstance(canvas, config, (progress) => {
-    // Update progress bar
-    if (progressBarFull) {
-      progressBarFull.style.width = 100 * progress + "%";
-    }
-  }).then((unityInstance) => {
-    // Hide loading bar when Unity is fully loaded
-    if (loadingBar) {
-      loadingBar.style.display = "none";
-    }
+  unityLoadPending = true;
+  loadUnityLoader(buildConfig.loaderUrl).then(checkSaveData).then(() => {
+    return createUnityInstance(canvas, config, (progress) => {
+      updateLoadingProgress(progress);
+      announceLoadingProgress(progress);
+      postEmbedProgress(progress);
+    });
+  }).then((instance) => {
+    unityLoadPending = false;
+    attachUnityInstance(instance);
+    restoreHostState();
+    sendLaunchOptions();
+    onUnityAudioReady();
+    startPerformanceGovernor();
+    reportStorageState();
+
+    // Hide loading screen when Unity is fully loaded
+    hideLoadingScreen();
     // Add loaded class to body
     document.body.classList.add('unity-loaded');
-  }).catch((message) => {
-    // Hide loading bar on error
-    if (loadingBar) {
-      loadingBar.style.display = "none";
+
+    // Keyboard input should work without clicking the canvas first
+    announceStatus(t("a11y.ready"));
+    focusGame();
+
+    // The parent page and analytics only hear about the first start
+    if (!unityGameStarted) {
+      unityGameStarted = true;
+      requestAnimationFrame(() => {
+        track("first_frame", { seconds: Math.round(performance.now() / 1000) });
+      });
+
+      postEmbedEvent("ready", {
+        productVersion: buildConfig.productVersion,
+        locale: currentLocale
+      });
     }
-    alert(message);
+    onUnityLoadSettled(true);
+  }).catch((message) => {
+    unityLoadPending = false;
+    onUnityLoadSettled(false);
+    const text = message && message.message ? message.message : message;
+    captureError("load", text, message);
+    postEmbedEvent("error", { message: String(text) });
+
+    // Offer a retry that runs the loader again without reloading the page
+    showLoadingError(message, () => startUnityGame(buildConfig));
   });
-};
+}
+
+/**
+ * Repeat to a new instance the state the page sent earlier: after a restart
+ * the previous instance got it, on the first start it was queued
+ */
+function restoreHostState() {
+  sendAnalyticsConsent();
+  applyAccessibilityPreferences(readAccessibilityPreferences(window));
+  unityPauseReasons.forEach((reason) => sendHostMessage("Pause", reason));
+}
 
-document.body.appendChild(script);
+/**
+ * Load the Unity loader script once; a failed download is retried next time
+ * @param {string} loaderUrl - URL of the *.loader.js file
+ * @returns {Promise} Resolves once createUnityInstance is defined
+ */
+function loadUnityLoader(loaderUrl) {
+  if (!unityLoaderPromise) {
+    unityLoaderPromise = new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = loaderUrl;
+      script.onload = resolve;
+      script.onerror = () => {
+        script.remove();
+        unityLoaderPromise = null;
+        reject("Failed to load " + loaderUrl);
+      };
+      document.body.appendChild(script);
+    });
+  }
+  return unityLoaderPromise;
 }
 
 //-----------------------------------------------------------------------------
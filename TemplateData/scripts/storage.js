@@ -0,0 +1,601 @@
+/**
+ * Unity WebGL Template - PWA
+ * Save data persistence, export and import
+ *
+ * Unity keeps PlayerPrefs and Application.persistentDataPath in the
+ * "/idbfs" IndexedDB database (object store FILE_DATA, one record per file
+ * path). Browsers may evict that storage, Safari in particular, so once the
+ * game has loaded we ask for persistent storage and report usage and quota
+ * to the game through the host object's SetStorageState method.
+ *
+ * That database is shared by every Unity build on the origin, so only
+ * records under this build's persistent data path are counted, exported or
+ * replaced. The loader's companyName/productName name the build's download
+ * cache, not this folder: Unity uses "/idbfs/<md5 of the data folder URL>",
+ * which is worked out here the same way. A build whose
+ * Application.persistentDataPath differs can set it in build.json:
+ *
+ *   "storage": { "persistentDataPath": "/idbfs/0123456789abcdef0123456789abcdef" }
+ *
+ * companyName/productName still tag the marker and the exported files.
+ *
+ * A small marker in localStorage remembers how many save records existed.
+ * Before createUnityInstance runs the database is checked against it, and
+ * the player is warned if saves have disappeared or cannot be read. (When
+ * a browser clears all site data the marker goes too, so that case looks
+ * like a first visit.)
+ *
+ * exportSaveData() downloads the records as a JSON file tagged with the
+ * build's companyName/productName; importSaveData() restores such a file,
+ * on this or another device, and restarts the game. Both are available on
+ * window.SoundimalsHost and as the "exportSaveData"/"importSaveData"
+ * bridge events so the game's parent menu can offer them.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+// Where Unity's IDBFS mount keeps its files
+const SAVE_DB_NAME = "/idbfs";
+const SAVE_STORE = "FILE_DATA";
+const SAVE_PATH_PREFIX = "/idbfs/";
+
+// Upper bound for keys below a path in an IDBKeyRange
+const SAVE_KEY_MAX = "\uffff";
+
+const SAVE_MARKER_PREFIX = "soundimals:saves:";
+const SAVE_EXPORT_FORMAT = 1;
+
+// Warn the player when the origin's storage is this full
+const QUOTA_WARNING_RATIO = 0.9;
+
+let saveDataOwner = null;
+
+window.SoundimalsHost = window.SoundimalsHost || {};
+
+//-----------------------------------------------------------------------------
+// Setup
+//-----------------------------------------------------------------------------
+
+/**
+ * Remember whose saves these are and keep the marker up to date
+ * @param {Object} buildConfig - Resolved build configuration
+ */
+function configureStorage(buildConfig) {
+  const storageOptions = buildConfig.storage || {};
+  saveDataOwner = {
+    companyName: buildConfig.companyName,
+    productName: buildConfig.productName,
+    productVersion: buildConfig.productVersion,
+    savePath: normalizeSavePath(storageOptions.persistentDataPath) || getUnityPersistentDataPath(buildConfig.dataUrl)
+  };
+
+  // The game writes saves at any time; count them whenever the page is put away
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") {
+      updateSaveMarker();
+    }
+  });
+
+  onUnityEvent("exportSaveData", () => exportSaveData());
+  onUnityEvent("importSaveData", () => importSaveData());
+}
+
+/**
+ * @param {*} path - Configured persistent data path
+ * @returns {?string} Path without a trailing slash, or null unless it is
+ *   a folder inside the IDBFS mount
+ */
+function normalizeSavePath(path) {
+  if (typeof path !== "string") {
+    return null;
+  }
+  path = path.replace(/\/+$/, "");
+  return path.indexOf(SAVE_PATH_PREFIX) === 0 && path.length > SAVE_PATH_PREFIX.length ? path : null;
+}
+
+/**
+ * Unity's persistentDataPath for a build: the MD5 of the URL of the folder
+ * holding the data file, without query and file name
+ * @param {string} dataUrl - URL of the .data file
+ * @returns {string} Persistent data path, e.g. "/idbfs/0123…cdef"
+ */
+function getUnityPersistentDataPath(dataUrl) {
+  const url = new URL(dataUrl, window.location.href);
+  const href = url.origin + url.pathname;
+  return SAVE_PATH_PREFIX + md5Hex(href.slice(0, href.lastIndexOf("/")));
+}
+
+/**
+ * Whether a database key belongs to this build
+ * @param {string} key - Record key (a file system path)
+ * @param {string} savePath - Persistent data path
+ * @returns {boolean} True for the folder itself and everything below it
+ */
+function isOwnSavePath(key, savePath) {
+  return key === savePath || key.indexOf(savePath + "/") === 0;
+}
+
+/**
+ * @returns {string} localStorage key of the marker for this product
+ */
+function getSaveMarkerKey() {
+  return SAVE_MARKER_PREFIX + saveDataOwner.companyName + "/" + saveDataOwner.productName;
+}
+
+//-----------------------------------------------------------------------------
+// IDBFS Access
+//-----------------------------------------------------------------------------
+
+/**
+ * Open Unity's save database without creating it
+ * @returns {Promise<?IDBDatabase>} Database, or null if it does not exist
+ */
+function openSaveDatabase() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB unavailable"));
+      return;
+    }
+
+    const request = indexedDB.open(SAVE_DB_NAME);
+    // An upgrade from version 0 means there is no database yet; leave
+    // creating it to Unity
+    request.onupgradeneeded = () => request.transaction.abort();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      if (request.error && request.error.name === "AbortError") {
+        resolve(null);
+      } else {
+        reject(request.error);
+      }
+    };
+  });
+}
+
+/**
+ * Read this build's save records
+ * @param {IDBDatabase} db - Open save database
+ * @param {string} savePath - Persistent data path
+ * @returns {Promise<Array<{path: string, value: Object}>>} Records
+ */
+function readSaveRecords(db, savePath) {
+  return new Promise((resolve, reject) => {
+    const records = [];
+    const range = IDBKeyRange.bound(savePath, savePath + "/" + SAVE_KEY_MAX);
+    const request = db.transaction(SAVE_STORE, "readonly").objectStore(SAVE_STORE).openCursor(range);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(records);
+        return;
+      }
+      // The range also holds siblings such as "<path>-old"
+      if (isOwnSavePath(String(cursor.key), savePath)) {
+        records.push({ path: String(cursor.key), value: cursor.value });
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Replace this build's save records in one transaction, leaving other
+ * builds' files alone
+ * @param {IDBDatabase} db - Open save database
+ * @param {string} savePath - Persistent data path
+ * @param {Array<{path: string, value: Object}>} records - New records
+ * @returns {Promise} Resolves once written
+ */
+function writeSaveRecords(db, savePath, records) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(SAVE_STORE, "readwrite");
+    const store = transaction.objectStore(SAVE_STORE);
+    store.delete(savePath);
+    store.delete(IDBKeyRange.bound(savePath + "/", savePath + "/" + SAVE_KEY_MAX));
+    records.forEach((record) => store.put(record.value, record.path));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Open the save database and check it is Unity's
+ * @returns {Promise<?IDBDatabase>} Database, or null if Unity never created it
+ */
+function openSaveStore() {
+  return openSaveDatabase().then((db) => {
+    if (db && !db.objectStoreNames.contains(SAVE_STORE)) {
+      db.close();
+      throw new Error("Save database has no " + SAVE_STORE + " store");
+    }
+    return db;
+  });
+}
+
+/**
+ * Count this build's save records
+ * @returns {Promise<number>} Number of records, 0 without a database
+ */
+function countSaveRecords() {
+  const savePath = saveDataOwner.savePath;
+  return openSaveStore().then((db) => {
+    if (!db) {
+      return 0;
+    }
+    return readSaveRecords(db, savePath).then((records) => {
+      db.close();
+      return records.length;
+    });
+  });
+}
+
+//-----------------------------------------------------------------------------
+// Startup Check and Marker
+//-----------------------------------------------------------------------------
+
+/**
+ * Compare the saves on disk with the marker; run before createUnityInstance
+ * @returns {Promise<{records: number, evicted: boolean, corrupted: boolean}>} Result
+ */
+function checkSaveData() {
+  let expected = 0;
+  try {
+    expected = parseInt(localStorage.getItem(getSaveMarkerKey()), 10) || 0;
+  } catch (error) {
+    // No marker to compare with
+  }
+
+  return countSaveRecords()
+    .then((count) => {
+      const evicted = expected > 0 && count === 0;
+      if (evicted) {
+        captureError("storage", "Save data evicted", null, { expectedRecords: expected });
+        showNotification(t("storage.evicted"), "warning", { timeout: 0 });
+        // Warn once; the marker starts over with whatever the game saves next
+        clearSaveMarker();
+      } else {
+        writeSaveMarker(count);
+      }
+      return { records: count, evicted: evicted, corrupted: false };
+    })
+    .catch((error) => {
+      captureError("storage", "Save data unreadable: " + (error && error.message ? error.message : error), error);
+      if (expected > 0) {
+        showNotification(t("storage.corrupted"), "warning", { timeout: 0 });
+      }
+      return { records: 0, evicted: false, corrupted: true };
+    });
+}
+
+/**
+ * Count the current save records into the marker
+ */
+function updateSaveMarker() {
+  if (!saveDataOwner) {
+    return;
+  }
+  countSaveRecords()
+    .then(writeSaveMarker)
+    .catch(() => {});
+}
+
+/**
+ * @param {number} count - Number of save records
+ */
+function writeSaveMarker(count) {
+  try {
+    if (count > 0) {
+      localStorage.setItem(getSaveMarkerKey(), String(count));
+    }
+  } catch (error) {
+    // Storage blocked, eviction cannot be detected
+  }
+}
+
+/**
+ * Forget the marker after warning about lost saves
+ */
+function clearSaveMarker() {
+  try {
+    localStorage.removeItem(getSaveMarkerKey());
+  } catch (error) {
+    // Nothing stored
+  }
+}
+
+//-----------------------------------------------------------------------------
+// Persistence and Quota
+//-----------------------------------------------------------------------------
+
+/**
+ * Ask for persistent storage and tell the game how much space is in use
+ * @returns {Promise<Object>} {persisted, usage, quota}
+ */
+function reportStorageState() {
+  const storage = navigator.storage;
+  if (!storage || !storage.estimate) {
+    return Promise.resolve({ persisted: false, usage: null, quota: null });
+  }
+
+  const persist = storage.persisted
+    ? storage.persisted().then((persisted) => persisted || (storage.persist ? storage.persist() : false))
+    : Promise.resolve(false);
+
+  return Promise.all([persist, storage.estimate()])
+    .then(([persisted, estimate]) => {
+      const state = { persisted: !!persisted, usage: estimate.usage, quota: estimate.quota };
+      sendHostMessage("SetStorageState", JSON.stringify(state));
+
+      if (state.quota && state.usage / state.quota > QUOTA_WARNING_RATIO) {
+        showNotification(t("storage.quotaLow"), "warning");
+      }
+      return state;
+    })
+    .catch((error) => {
+      console.warn("Storage estimate failed:", error);
+      return { persisted: false, usage: null, quota: null };
+    });
+}
+
+//-----------------------------------------------------------------------------
+// Export and Import
+//-----------------------------------------------------------------------------
+
+/**
+ * Download the player's saves as a JSON file
+ * @returns {Promise} Resolves once the download has been offered
+ */
+function exportSaveData() {
+  const savePath = saveDataOwner.savePath;
+  return syncUnityFileSystem(unityInstance)
+    .then(openSaveStore)
+    .then((db) => {
+      if (!db) {
+        return [];
+      }
+      return readSaveRecords(db, savePath).then((records) => {
+        db.close();
+        return records;
+      });
+    })
+    .then((records) => {
+      const file = {
+        format: SAVE_EXPORT_FORMAT,
+        companyName: saveDataOwner.companyName,
+        productName: saveDataOwner.productName,
+        productVersion: saveDataOwner.productVersion,
+        savePath: savePath,
+        exportedAt: new Date().toISOString(),
+        records: records.map(serializeSaveRecord)
+      };
+
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(new Blob([JSON.stringify(file)], { type: "application/json" }));
+      link.download = saveDataOwner.productName + "-save-" + file.exportedAt.slice(0, 10) + ".json";
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    })
+    .catch((error) => {
+      captureError("storage", "Save export failed", error);
+      showNotification(t("storage.exportFailed"), "error");
+    });
+}
+
+/**
+ * Let the player pick an exported file and restore it
+ */
+function importSaveData() {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = "application/json,.json";
+  input.addEventListener("change", () => {
+    if (input.files && input.files[0]) {
+      importSaveFile(input.files[0]);
+    }
+  });
+  input.click();
+}
+
+/**
+ * Restore saves from an exported file and restart the game. The file and
+ * the database are checked first; the running game is only quit once both
+ * are usable.
+ * @param {Blob} file - File written by exportSaveData()
+ * @returns {Promise} Resolves once the page is reloading
+ */
+function importSaveFile(file) {
+  const savePath = saveDataOwner.savePath;
+  let gameQuit = false;
+
+  return file.text()
+    .then((text) => {
+      const data = JSON.parse(text);
+      if (!data || data.format !== SAVE_EXPORT_FORMAT || !Array.isArray(data.records)) {
+        throw new Error("Not a save file");
+      }
+      if (data.companyName !== saveDataOwner.companyName || data.productName !== saveDataOwner.productName) {
+        throw new Error("Save file is for " + data.companyName + "/" + data.productName);
+      }
+      // Files exported from another URL of the game live under another path
+      const fromPath = normalizeSavePath(data.savePath) || savePath;
+      const records = data.records.map((entry) => deserializeSaveRecord(entry, fromPath, savePath));
+
+      return openSaveStore().then((db) => {
+        if (!db) {
+          throw new Error("Start the game once before importing");
+        }
+        return { db: db, records: records };
+      });
+    })
+    .then((target) => {
+      // A running game would write its own files back over the import
+      const instance = unityInstance;
+      detachUnityInstance();
+      gameQuit = true;
+      return Promise.resolve(instance ? instance.Quit() : null)
+        .catch(() => {})
+        .then(() => writeSaveRecords(target.db, savePath, target.records))
+        .then(() => {
+          target.db.close();
+          writeSaveMarker(target.records.length);
+          window.location.reload();
+        }, (error) => {
+          target.db.close();
+          throw error;
+        });
+    })
+    .catch((error) => {
+      captureError("storage", "Save import failed: " + (error && error.message ? error.message : error), error);
+      if (gameQuit) {
+        // The write is one transaction, so the old saves are intact; bring the game back
+        window.location.reload();
+        return;
+      }
+      showNotification(t("storage.importFailed"), "error");
+    });
+}
+
+/**
+ * Turn an IDBFS record into plain JSON
+ * @param {{path: string, value: Object}} record - Save record
+ * @returns {Object} {path, timestamp, mode, contents?} with base64 contents
+ */
+function serializeSaveRecord(record) {
+  const value = record.value;
+  const entry = {
+    path: record.path,
+    timestamp: value.timestamp instanceof Date ? value.timestamp.toISOString() : value.timestamp,
+    mode: value.mode
+  };
+  if (value.contents) {
+    entry.contents = bytesToBase64(new Uint8Array(value.contents));
+  }
+  return entry;
+}
+
+/**
+ * Turn an exported entry back into an IDBFS record
+ * @param {Object} entry - Entry from serializeSaveRecord()
+ * @param {string} fromPath - Persistent data path the file was exported from
+ * @param {string} toPath - This build's persistent data path
+ * @returns {{path: string, value: Object}} Save record
+ */
+function deserializeSaveRecord(entry, fromPath, toPath) {
+  if (!entry || typeof entry.path !== "string" || !isOwnSavePath(entry.path, fromPath) ||
+      entry.path.split("/").indexOf("..") !== -1 || typeof entry.mode !== "number") {
+    throw new Error("Invalid save record");
+  }
+
+  const value = { timestamp: new Date(entry.timestamp), mode: entry.mode };
+  if (typeof entry.contents === "string") {
+    value.contents = base64ToBytes(entry.contents);
+  }
+  return { path: toPath + entry.path.slice(fromPath.length), value: value };
+}
+
+/**
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} Base64 text
+ */
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Raw bytes
+ */
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+//-----------------------------------------------------------------------------
+// MD5
+//-----------------------------------------------------------------------------
+
+// Per-round shift amounts and sine-derived constants (RFC 1321)
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (value, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0);
+
+/**
+ * MD5 of a string's UTF-8 bytes; Web Crypto has no MD5, and Unity names
+ * the persistent data folder with one
+ * @param {string} text - Input text
+ * @returns {string} 32 lowercase hex digits
+ */
+function md5Hex(text) {
+  const input = new TextEncoder().encode(text);
+  const length = ((input.length + 8) >>> 6) + 1 << 6;
+  const bytes = new Uint8Array(length);
+  bytes.set(input);
+  bytes[input.length] = 0x80;
+  const view = new DataView(bytes.buffer);
+  view.setUint32(length - 8, input.length * 8, true);
+  view.setUint32(length - 4, Math.floor(input.length / 0x20000000), true);
+
+  const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  const words = new Array(16);
+  for (let offset = 0; offset < length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      words[i] = view.getUint32(offset + i * 4, true);
+    }
+
+    let [a, b, c, d] = state;
+    for (let i = 0; i < 64; i++) {
+      const round = i >> 4;
+      let f;
+      let g;
+      if (round === 0) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (round === 1) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) & 15;
+      } else if (round === 2) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) & 15;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) & 15;
+      }
+      const sum = (a + f + MD5_CONSTANTS[i] + words[g]) | 0;
+      const shift = MD5_SHIFTS[round * 4 + (i & 3)];
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
+    }
+
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+  }
+
+  let hex = "";
+  state.forEach((word) => {
+    for (let i = 0; i < 4; i++) {
+      hex += ((word >>> (i * 8)) & 0xff).toString(16).padStart(2, "0");
+    }
+  });
+  return hex;
+}
+
+window.SoundimalsHost.exportSaveData = exportSaveData;
+window.SoundimalsHost.importSaveData = importSaveData;
+window.SoundimalsHost.getStorageState = reportStorageState;
@@ -0,0 +1,180 @@
+/**
+ * Unity WebGL Template - PWA
+ * Viewport and virtual keyboard controller
+ *
+ * One place that decides how big the mobile viewport is and whether the
+ * on-screen keyboard is up. Where the VirtualKeyboard API exists the
+ * keyboard overlays the page and reports its own height; elsewhere it is
+ * inferred from how far the viewport shrank below its resting height.
+ * Resting heights are kept per viewport width (the keyboard never changes
+ * the width), so every orientation has its own baseline and rotating no
+ * longer breaks detection. While the keyboard is up the canvas keeps its
+ * pre-keyboard size, and the game is told through the host object's
+ * SetKeyboardState method so text fields can scroll into view.
+ *
+ * nextViewportState() is a pure function of the previous state and a
+ * viewport sample, so keyboard behaviour can be checked by replaying a
+ * recorded sequence of samples without a device.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+// Shrinking more than this opens the keyboard, growing back to within
+// CLOSE closes it; the gap absorbs browser toolbars sliding in and out
+const KEYBOARD_OPEN_THRESHOLD = 150;
+const KEYBOARD_CLOSE_THRESHOLD = 50;
+
+// iOS reports the rotated viewport a little after orientationchange
+const ORIENTATION_SETTLE_DELAY = 500;
+
+// iOS settles the visual viewport a moment after the keyboard closes
+const KEYBOARD_SETTLE_DELAY = 100;
+
+let viewportState = createViewportState();
+let viewportResizeHandler = null;
+
+//-----------------------------------------------------------------------------
+// Viewport State
+//-----------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} ViewportState
+ * @property {Object<string, number>} baselines - Resting height per viewport width
+ * @property {boolean} keyboardOpen - Whether the virtual keyboard is up
+ * @property {number} keyboardHeight - Keyboard height in CSS pixels, 0 when closed
+ * @property {number} width - Width to lay the canvas out in
+ * @property {number} height - Height to lay the canvas out in
+ */
+
+/**
+ * @returns {ViewportState} State before the first sample
+ */
+function createViewportState() {
+  return { baselines: {}, keyboardOpen: false, keyboardHeight: 0, width: 0, height: 0 };
+}
+
+/**
+ * Take a viewport sample
+ * @param {Window} win - Window to measure (a fake one in tests)
+ * @param {Object} device - Device flags ({isMobileDevice})
+ * @returns {{width: number, height: number, keyboardHeight: ?number}} Sample;
+ *   keyboardHeight is null unless the VirtualKeyboard API reports it
+ */
+function readViewportSample(win, device) {
+  const viewport = readViewport(win, device);
+  const virtualKeyboard = win.navigator && win.navigator.virtualKeyboard;
+
+  return {
+    width: viewport.width,
+    height: viewport.height,
+    keyboardHeight: virtualKeyboard && virtualKeyboard.overlaysContent ? virtualKeyboard.boundingRect.height : null
+  };
+}
+
+/**
+ * Work out the next viewport state from a sample
+ * @param {ViewportState} state - Previous state
+ * @param {{width: number, height: number, keyboardHeight: ?number}} sample - Viewport sample
+ * @returns {ViewportState} New state; the previous one is left untouched
+ */
+function nextViewportState(state, sample) {
+  const key = String(Math.round(sample.width));
+  const baselines = Object.assign({}, state.baselines);
+  const baseline = baselines[key] || 0;
+  let keyboardOpen = state.keyboardOpen;
+  let keyboardHeight;
+
+  if (sample.keyboardHeight !== null && sample.keyboardHeight !== undefined) {
+    // The keyboard reports itself and does not resize the viewport
+    keyboardHeight = sample.keyboardHeight;
+    keyboardOpen = keyboardHeight > 0;
+  } else {
+    keyboardHeight = Math.max(0, baseline - sample.height);
+    if (!keyboardOpen && keyboardHeight > KEYBOARD_OPEN_THRESHOLD) {
+      keyboardOpen = true;
+    } else if (keyboardOpen && keyboardHeight <= KEYBOARD_CLOSE_THRESHOLD) {
+      keyboardOpen = false;
+    }
+  }
+
+  if (!keyboardOpen) {
+    baselines[key] = Math.max(baseline, sample.height);
+  }
+
+  return {
+    baselines: baselines,
+    keyboardOpen: keyboardOpen,
+    keyboardHeight: keyboardOpen ? keyboardHeight : 0,
+    width: sample.width,
+    // Keep the pre-keyboard size so the game doesn't shrink behind the keyboard
+    height: keyboardOpen ? baselines[key] || sample.height : sample.height
+  };
+}
+
+//-----------------------------------------------------------------------------
+// Page Wiring
+//-----------------------------------------------------------------------------
+
+/**
+ * Listen for everything that can change the mobile viewport
+ * @param {function()} onResize - Re-lays out the canvas
+ */
+function setupViewportController(onResize) {
+  viewportResizeHandler = onResize;
+
+  // Let the keyboard overlay the page and report its geometry instead
+  if ("virtualKeyboard" in navigator) {
+    navigator.virtualKeyboard.overlaysContent = true;
+    navigator.virtualKeyboard.addEventListener("geometrychange", onResize);
+  }
+
+  window.addEventListener("resize", onResize);
+  if (window.visualViewport) {
+    window.visualViewport.addEventListener("resize", onResize);
+  }
+
+  window.addEventListener("orientationchange", () => {
+    onResize();
+    if (canvas.isIOS) {
+      setTimeout(onResize, ORIENTATION_SETTLE_DELAY);
+    }
+  });
+}
+
+/**
+ * Sample the page viewport and move to the next state
+ * @returns {ViewportState} Current state
+ */
+function updateViewportState() {
+  const previous = viewportState;
+  viewportState = nextViewportState(previous, readViewportSample(window, canvas));
+
+  if (viewportState.keyboardOpen !== previous.keyboardOpen) {
+    applyKeyboardState(viewportState);
+  }
+  return viewportState;
+}
+
+/**
+ * React to the keyboard opening or closing
+ * @param {ViewportState} state - Current state
+ */
+function applyKeyboardState(state) {
+  document.body.classList.toggle("unity-keyboard-open", state.keyboardOpen);
+
+  // Stop the page scrolling under the keyboard
+  const overflow = state.keyboardOpen ? "hidden" : "";
+  document.body.style.overflow = overflow;
+  document.documentElement.style.overflow = overflow;
+
+  if (!state.keyboardOpen && viewportResizeHandler) {
+    setTimeout(viewportResizeHandler, KEYBOARD_SETTLE_DELAY);
+  }
+
+  sendHostMessage("SetKeyboardState", JSON.stringify({
+    open: state.keyboardOpen,
+    height: Math.round(state.keyboardHeight)
+  }));
+}
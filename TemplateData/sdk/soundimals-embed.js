@@ -0,0 +1,133 @@
+/**
+ * Soundimals embed SDK
+ * Parent page side of the Soundimals postMessage protocol
+ *
+ * Include this file on the page that frames the game, then:
+ *
+ *   <iframe id="game" src="https://game.example/soundimals/"
+ *           allow="fullscreen; autoplay" width="375" height="667"></iframe>
+ *
+ *   const game = SoundimalsEmbed.attach(document.getElementById("game"));
+ *   game.on("progress", (payload) => console.log(payload.progress));
+ *   game.on("ready", () => game.loadLevel("farm-1"));
+ *   game.on("error", (payload) => console.warn(payload.message));
+ *
+ * Commands return promises that settle once the game acknowledges them.
+ * The game only talks to origins listed under embed.parentOrigins in its
+ * build.json, so ask for your page's origin to be added there.
+ */
+(function (window) {
+  "use strict";
+
+  const PROTOCOL = "soundimals-embed";
+  const PROTOCOL_VERSION = 1;
+  const DEFAULT_TIMEOUT = 10000;
+
+  /**
+   * Connect to a Soundimals iframe
+   * @param {HTMLIFrameElement} iframe - Frame running the game
+   * @param {Object} [options] - {origin} of the game (defaults to the
+   *   iframe's src origin), {timeout} in ms for command acknowledgements
+   * @returns {Object} Game controller
+   */
+  function attach(iframe, options) {
+    options = options || {};
+    const origin = options.origin || new URL(iframe.src, window.location.href).origin;
+    const timeout = options.timeout || DEFAULT_TIMEOUT;
+    const handlers = {};
+    const pending = {};
+    let nextId = 1;
+
+    function onMessage(event) {
+      const message = event.data;
+      if (event.origin !== origin || event.source !== iframe.contentWindow ||
+          !message || message.protocol !== PROTOCOL || message.type !== "event") {
+        return;
+      }
+
+      if (message.name === "response") {
+        settle(message.id, message.payload || {});
+        return;
+      }
+      (handlers[message.name] || []).slice().forEach((handler) => handler(message.payload));
+    }
+
+    function settle(id, payload) {
+      const request = pending[id];
+      if (!request) {
+        return;
+      }
+      delete pending[id];
+      clearTimeout(request.timer);
+      if (payload.ok) {
+        request.resolve();
+      } else {
+        request.reject(new Error(payload.error || "command_failed"));
+      }
+    }
+
+    function send(name, payload) {
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending[id] = {
+          resolve: resolve,
+          reject: reject,
+          timer: setTimeout(() => settle(id, { ok: false, error: "timeout" }), timeout)
+        };
+        iframe.contentWindow.postMessage({
+          protocol: PROTOCOL,
+          version: PROTOCOL_VERSION,
+          type: "command",
+          name: name,
+          id: id,
+          payload: payload
+        }, origin);
+      });
+    }
+
+    window.addEventListener("message", onMessage);
+
+    return {
+      /**
+       * Listen for "ready", "progress" or "error"
+       * @param {string} name - Event name
+       * @param {function(Object)} handler - Receives the event payload
+       */
+      on: function (name, handler) {
+        (handlers[name] = handlers[name] || []).push(handler);
+      },
+
+      /**
+       * Stop listening
+       * @param {string} name - Event name
+       * @param {function(Object)} handler - Handler passed to on()
+       */
+      off: function (name, handler) {
+        const list = handlers[name] || [];
+        const index = list.indexOf(handler);
+        if (index !== -1) {
+          list.splice(index, 1);
+        }
+      },
+
+      pause: () => send("pause"),
+      resume: () => send("resume"),
+      mute: (muted) => send("mute", { muted: muted !== false }),
+      setLocale: (locale) => send("setLocale", { locale: String(locale) }),
+      loadLevel: (level) => send("loadLevel", { level: String(level) }),
+
+      /**
+       * Stop listening to the frame and fail outstanding commands
+       */
+      destroy: function () {
+        window.removeEventListener("message", onMessage);
+        Object.keys(pending).forEach((id) => settle(id, { ok: false, error: "destroyed" }));
+      }
+    };
+  }
+
+  window.SoundimalsEmbed = {
+    version: PROTOCOL_VERSION,
+    attach: attach
+  };
+})(window);
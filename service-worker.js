@@ -0,0 +1,164 @@
+/**
+ * Unity WebGL Template - PWA
+ * Service worker providing an offline cache of the Unity build
+ *
+ * The page registers this worker as
+ * `service-worker.js?v=<productVersion>&build=<descriptor>`.
+ * Every product version gets its own cache, so installing a new build
+ * precaches it side by side and activation drops the previous one.
+ * The Build/ files to precache are read from the build descriptor, using
+ * the page's own descriptor code (build-config.js). Pages running with
+ * query-string build overrides do not register the worker at all.
+ */
+
+//-----------------------------------------------------------------------------
+// Configuration and Variables
+//-----------------------------------------------------------------------------
+
+const CACHE_PREFIX = "soundimals-";
+const WORKER_PARAMS = new URL(self.location.href).searchParams;
+const PRODUCT_VERSION = WORKER_PARAMS.get("v") || "dev";
+const CACHE_NAME = CACHE_PREFIX + PRODUCT_VERSION;
+
+// Descriptor defaults, overrides and URL joining are shared with the page
+importScripts("TemplateData/scripts/build-config.js");
+
+// The page only passes same-origin descriptors; check again here anyway
+const REQUESTED_DESCRIPTOR_URL = WORKER_PARAMS.get("build");
+const DESCRIPTOR_URL = REQUESTED_DESCRIPTOR_URL && isSameOrigin(REQUESTED_DESCRIPTOR_URL) ?
+  REQUESTED_DESCRIPTOR_URL : BUILD_DESCRIPTOR_URL;
+
+// Template files needed to relaunch the game without a network connection
+const PRECACHE_URLS = [
+  "./",
+  "index.html",
+  "manifest.webmanifest",
+  "TemplateData/scripts/build-config.js",
+  "TemplateData/scripts/bridge.js",
+  "TemplateData/scripts/i18n.js",
+  "TemplateData/scripts/accessibility.js",
+  "TemplateData/scripts/launch-options.js",
+  "TemplateData/scripts/notifications.js",
+  "TemplateData/scripts/error-reporting.js",
+  "TemplateData/scripts/analytics.js",
+  "TemplateData/scripts/embed.js",
+  "TemplateData/scripts/canvas-sizing.js",
+  "TemplateData/scripts/viewport.js",
+  "TemplateData/scripts/performance.js",
+  "TemplateData/scripts/orientation.js",
+  "TemplateData/scripts/fullscreen.js",
+  "TemplateData/scripts/audio.js",
+  "TemplateData/scripts/context-recovery.js",
+  "TemplateData/scripts/storage.js",
+  "TemplateData/scripts/loading-screen.js",
+  "TemplateData/scripts/preflight.js",
+  "TemplateData/scripts/scripts.js",
+  "TemplateData/styles/style.css",
+  "TemplateData/locales/zh-TW.json",
+  "TemplateData/locales/en.json",
+  "TemplateData/locales/ja.json",
+  "TemplateData/icons/unity-logo-dark.png",
+  "TemplateData/icons/unity-logo-light.png",
+  "TemplateData/images/favicon.ico",
+  "TemplateData/images/progress-bar-empty-dark.png",
+  "TemplateData/images/progress-bar-empty-light.png",
+  "TemplateData/images/progress-bar-full-dark.png",
+  "TemplateData/images/progress-bar-full-light.png",
+  "TemplateData/images/unity-logo-dark.png",
+  "TemplateData/images/unity-logo-light.png",
+];
+
+//-----------------------------------------------------------------------------
+// Build Descriptor
+//-----------------------------------------------------------------------------
+
+/**
+ * List the build artifacts named by the build descriptor, merged over the
+ * same defaults and joined the same way as on the page
+ * @returns {Promise<string[]>} Descriptor URL followed by the build files
+ */
+function getBuildUrls() {
+  return fetch(DESCRIPTOR_URL, { cache: "reload" })
+    .then(readBuildDescriptor)
+    .then((descriptor) => [DESCRIPTOR_URL].concat(getBuildFileUrls(createBuildConfig(descriptor, DESCRIPTOR_URL))))
+    .catch((error) => {
+      // The page falls back to the defaults as well
+      console.warn("Build descriptor " + DESCRIPTOR_URL + " unavailable, precaching defaults:", error);
+      return getBuildFileUrls(createBuildConfig(Object.assign({}, DEFAULT_BUILD_DESCRIPTOR), DESCRIPTOR_URL));
+    });
+}
+
+/**
+ * @param {Object} buildConfig - Build configuration
+ * @returns {string[]} Files the loader fetches
+ */
+function getBuildFileUrls(buildConfig) {
+  return [
+    buildConfig.loaderUrl,
+    buildConfig.dataUrl,
+    buildConfig.frameworkUrl,
+    buildConfig.codeUrl,
+    buildConfig.streamingAssetsUrl + "/UnityServicesProjectConfiguration.json",
+  ];
+}
+
+//-----------------------------------------------------------------------------
+// Lifecycle
+//-----------------------------------------------------------------------------
+
+self.addEventListener("install", (event) => {
+  // Bypass the HTTP cache so a new version never precaches stale build files
+  event.waitUntil(
+    Promise.all([caches.open(CACHE_NAME), getBuildUrls()])
+      .then(([cache, buildUrls]) => cache.addAll(
+        PRECACHE_URLS.concat(buildUrls).map((url) => new Request(url, { cache: "reload" }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  // Remove caches left behind by previous product versions
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+//-----------------------------------------------------------------------------
+// Request Handling
+//-----------------------------------------------------------------------------
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (request.method !== "GET") {
+    return;
+  }
+
+  // Page navigations: network first so a reachable server always wins,
+  // falling back to the cached shell when offline
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request).catch(() => caches.match("index.html", { cacheName: CACHE_NAME }))
+    );
+    return;
+  }
+
+  // Build descriptor: network first as well, otherwise the page would never
+  // see a new productVersion and the cache could not roll over
+  if (new URL(request.url).pathname === new URL(DESCRIPTOR_URL, self.location.href).pathname) {
+    event.respondWith(
+      fetch(request).catch(() => caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: true }))
+    );
+    return;
+  }
+
+  // Everything else: cache first, the precache already holds the build
+  // (which may live on a CDN origin, hence no same-origin check here)
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: true })
+      .then((cached) => cached || fetch(request))
+  );
+});
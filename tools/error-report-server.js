@@ -0,0 +1,59 @@
+/**
+ * Unity WebGL Template - PWA
+ * Local stub endpoint for the crash reporting pipeline
+ *
+ * Prints every batch of error records it receives. Point the build
+ * descriptor at it while testing:
+ *
+ *   "errorReporting": { "endpoint": "http://localhost:8787/collect" }
+ *
+ * Usage: node tools/error-report-server.js [port]
+ */
+
+const http = require("http");
+
+const port = parseInt(process.argv[2], 10) || 8787;
+
+const server = http.createServer((request, response) => {
+  response.setHeader("Access-Control-Allow-Origin", "*");
+  response.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (request.method === "OPTIONS") {
+    response.writeHead(204);
+    response.end();
+    return;
+  }
+
+  if (request.method !== "POST") {
+    response.writeHead(405);
+    response.end();
+    return;
+  }
+
+  let body = "";
+  request.setEncoding("utf8");
+  request.on("data", (chunk) => {
+    body += chunk;
+  });
+  request.on("end", () => {
+    try {
+      const batch = JSON.parse(body);
+      (batch.records || []).forEach((record) => {
+        console.log("[" + record.time + "] " + record.type + " (" + record.deviceClass + ", " +
+          record.productVersion + "): " + record.message);
+        if (record.stack) {
+          console.log("  " + record.stack.split("\n").join("\n  "));
+        }
+      });
+      response.writeHead(204);
+    } catch (error) {
+      console.warn("Malformed batch:", error.message);
+      response.writeHead(400);
+    }
+    response.end();
+  });
+});
+
+server.listen(port, () => {
+  console.log("Error report stub listening on http://localhost:" + port + "/collect");
+});